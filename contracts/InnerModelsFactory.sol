@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./InnerModelsNFT.sol";
+import "./PoolManagerDeployer.sol";
+
+/**
+ * @title InnerModelsFactory
+ * @notice Deploys new Inner Models series and keeps a registry of them.
+ *
+ * A series is a linked InnerModelsNFT + PoolManager pair built from one
+ * SeriesConfig (e.g. new models or new questions):
+ *   - The NFT and the PoolManager get the same maxSupply
+ *   - setPoolManager is called in the same transaction, so there is no
+ *     window in which the NFT is unlinked
+ *   - NFT ownership is handed to the series creator, who also owns
+ *     the PoolManager
+ *
+ * Every PoolManager uses the shared PoolManagerExtension given at
+ * construction. The registry is append-only and lists every series
+ * for the frontend.
+ */
+contract InnerModelsFactory is Ownable {
+    // ═══════════════════════════════════════════
+    //  State
+    // ═══════════════════════════════════════════
+
+    struct SeriesConfig {
+        string name;
+        string symbol;
+        string baseURI;
+        string destroyedURI;
+        address priceFeed;
+        address sequencerUptimeFeed;  // address(0) = no sequencer check
+        address creator;
+        PoolManagerBase.PoolConfig pool;
+        uint256[4] tierPrices;        // By tier, in wei
+        uint256[] tierAssignments;    // pool.maxSupply values: 0=Common, 1=Standard, 2=Rare, 3=Legendary
+    }
+
+    struct Series {
+        address nft;
+        address poolManager;
+        address creator;
+        string name;
+        string symbol;
+        uint256 maxSupply;
+        uint256 createdAt;
+    }
+
+    PoolManagerDeployer public immutable deployer;
+    address public immutable extension;
+
+    Series[] internal _series;
+    mapping(address => bool) public isSeriesPool;
+
+    event SeriesCreated(
+        uint256 indexed seriesId,
+        address indexed nft,
+        address indexed poolManager,
+        address creator,
+        string name,
+        uint256 maxSupply
+    );
+
+    error InvalidExtension();
+    error UnknownSeries(uint256 seriesId);
+
+    // ═══════════════════════════════════════════
+    //  Constructor
+    // ═══════════════════════════════════════════
+
+    constructor(address _extension) Ownable(msg.sender) {
+        if (_extension == address(0)) revert InvalidExtension();
+        extension = _extension;
+        deployer = new PoolManagerDeployer();
+    }
+
+    // ═══════════════════════════════════════════
+    //  Series
+    // ═══════════════════════════════════════════
+
+    /// @notice Deploy and link a new NFT + PoolManager pair, then record it.
+    ///         Reverts as a whole if either contract rejects the config.
+    function createSeries(SeriesConfig calldata cfg) external onlyOwner returns (
+        uint256 seriesId,
+        address nftAddr,
+        address poolAddr
+    ) {
+        InnerModelsNFT nft = new InnerModelsNFT(
+            cfg.name,
+            cfg.symbol,
+            cfg.pool.maxSupply,
+            cfg.baseURI,
+            cfg.destroyedURI
+        );
+        nftAddr = address(nft);
+
+        poolAddr = deployer.deploy(abi.encode(
+            nftAddr,
+            cfg.priceFeed,
+            cfg.sequencerUptimeFeed,
+            cfg.creator,
+            cfg.pool,
+            cfg.tierPrices,
+            cfg.tierAssignments,
+            extension
+        ));
+
+        nft.setPoolManager(poolAddr);
+        nft.transferOwnership(cfg.creator);
+
+        seriesId = _series.length;
+        _series.push(Series(
+            nftAddr,
+            poolAddr,
+            cfg.creator,
+            cfg.name,
+            cfg.symbol,
+            cfg.pool.maxSupply,
+            block.timestamp
+        ));
+        isSeriesPool[poolAddr] = true;
+
+        emit SeriesCreated(seriesId, nftAddr, poolAddr, cfg.creator, cfg.name, cfg.pool.maxSupply);
+    }
+
+    // ═══════════════════════════════════════════
+    //  Views
+    // ═══════════════════════════════════════════
+
+    /// @notice Number of series created so far.
+    function seriesCount() external view returns (uint256) {
+        return _series.length;
+    }
+
+    /// @notice Get one series by id (ids start at 0, in creation order).
+    function getSeries(uint256 seriesId) external view returns (Series memory) {
+        if (seriesId >= _series.length) revert UnknownSeries(seriesId);
+        return _series[seriesId];
+    }
+
+    /// @notice Get every series, in creation order.
+    function getAllSeries() external view returns (Series[] memory) {
+        return _series;
+    }
+}
@@ -2,79 +2,285 @@
 pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
+import "@openzeppelin/contracts/interfaces/IERC4906.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "./TombstoneRenderer.sol";
+
+/// @dev The part of PoolManager the NFT reads: the series configuration
+///      and, for destroyed tokens, the final cost basis and sale.
+interface IPoolManagerView {
+    /// @dev Mirrors PoolManagerBase.Sale
+    struct Sale {
+        address buyer;
+        uint64 timestamp;
+        uint96 price;
+        uint96 surcharge;
+    }
+
+    function costBasis(uint256 tokenId) external view returns (uint256);
+
+    function saleCount(uint256 tokenId) external view returns (uint256);
+
+    function getProvenance(uint256 tokenId, uint256 offset, uint256 limit)
+        external view returns (Sale[] memory);
+
+    function config() external view returns (
+        uint256 maxSupply,
+        uint256 surchargeBps,
+        uint256 creatorFeeBps,
+        uint256 triggerPrice,
+        uint256 triggerCooldown,
+        uint256 deadlineDuration
+    );
+}
 
 /**
  * @title InnerModelsNFT
- * @notice ERC-721 token for the Inner Models project.
+ * @notice ERC-721 token for the Inner Models project, one per series.
+ *         Name, symbol and supply are set at deployment; the supply
+ *         must match the series' PoolManager (see InnerModelsFactory).
  *         Transfers are restricted to the PoolManager contract only.
  *         The collection is viewable on OpenSea but not tradeable there.
+ *
+ *         ERC-2981 reports the PoolManager's surcharge as the royalty,
+ *         payable to the PoolManager. ERC-4906 BatchMetadataUpdate is
+ *         emitted whenever every tokenURI changes at once.
+ *
+ *         Each token's model, provider family and question are stored
+ *         on-chain, set once by the owner before the first mint.
+ *         contractURI() serves collection metadata, with a destroyed
+ *         variant once the art is destroyed.
+ *
+ *         Until the trigger, tokenURI points at IPFS. Afterwards each
+ *         token gets an on-chain tombstone (see TombstoneRenderer); the
+ *         owner can switch back to the shared destroyed JSON instead.
  */
-contract InnerModelsNFT is ERC721, Ownable {
+contract InnerModelsNFT is ERC721, ERC2981, IERC4906, Ownable {
     address public poolManager;
     string private _baseTokenURI;
     bool public artDestroyed;
     string private _destroyedURI;
+    bool public useDestroyedFallback;  // Serve _destroyedURI instead of tombstones
+    uint256 public destroyedAt;        // Trigger finalization timestamp
+    uint256 public finalEthPrice;      // Trigger finalization price; 0 = deadline or vote
 
-    uint256 public constant MAX_SUPPLY = 297;
+    uint256 public immutable maxSupply;
     uint256 public totalMinted;
 
+    // On-chain artwork attributes, packed into one slot per token
+    struct Attributes {
+        uint8 model;     // Model index
+        uint8 family;    // Provider family index (e.g. OpenAI, Google)
+        uint8 question;  // Question index
+        bool set;
+    }
+    mapping(uint256 => Attributes) private _attributes;
+    mapping(uint256 => uint256[]) private _tokensByModel;
+    uint256 public attributesSet;  // Number of tokens with attributes
+
+    // Collection-level metadata (ERC-7572)
+    string private _contractURI;
+    string private _destroyedContractURI;
+
     event PoolManagerSet(address indexed poolManager);
     event ArtDestroyed(uint256 timestamp);
     event BaseURIUpdated(string newURI);
+    event AttributesSet(uint256 indexed tokenId, uint8 model, uint8 family, uint8 question);
+    event ContractURIUpdated();
+    event DestroyedFallbackSet(bool enabled);
+
+    error OnlyPoolManager(address caller);
+    error PoolManagerAlreadySet(address poolManager);
+    error PoolManagerNotSet();
+    error TransferRestricted(address caller);  // Transfers only via PoolManager
+    error ZeroAddress();
+    error InvalidMaxSupply();
+    error MaxSupplyReached(uint256 maxSupply);
+    error InvalidTokenId(uint256 tokenId);
+    error ArtAlreadyDestroyed();
+    error MintingStarted();
+    error LengthMismatch(uint256 a, uint256 b);
+    error AttributesAlreadySet(uint256 tokenId);
+    error AttributesNotSet(uint256 tokenId);
 
     modifier onlyPoolManager() {
-        require(msg.sender == poolManager, "Only PoolManager");
+        if (msg.sender != poolManager) revert OnlyPoolManager(msg.sender);
         _;
     }
 
     constructor(
+        string memory name_,
+        string memory symbol_,
+        uint256 maxSupply_,
         string memory baseURI,
         string memory destroyedURI
-    ) ERC721("Inner Models", "INNER") Ownable(msg.sender) {
+    ) ERC721(name_, symbol_) Ownable(msg.sender) {
+        if (maxSupply_ == 0) revert InvalidMaxSupply();
+        maxSupply = maxSupply_;
         _baseTokenURI = baseURI;
         _destroyedURI = destroyedURI;
     }
 
     /// @notice Update base URI for metadata (e.g., after IPFS re-upload).
     function setBaseURI(string memory newBaseURI) external onlyOwner {
-        require(!artDestroyed, "Art destroyed");
+        if (artDestroyed) revert ArtAlreadyDestroyed();
         _baseTokenURI = newBaseURI;
         emit BaseURIUpdated(newBaseURI);
+        emit BatchMetadataUpdate(0, maxSupply - 1);
+    }
+
+    /// @notice Set the collection metadata URIs, live and destroyed.
+    function setContractURIs(string calldata uri, string calldata destroyedUri) external onlyOwner {
+        _contractURI = uri;
+        _destroyedContractURI = destroyedUri;
+        emit ContractURIUpdated();
+    }
+
+    /// @notice Store the attributes of a batch of tokens. Each token can be
+    ///         set once, and only before the first mint, so holders can rely
+    ///         on what they bought.
+    function setAttributes(
+        uint256[] calldata tokenIds,
+        uint8[] calldata models,
+        uint8[] calldata families,
+        uint8[] calldata questions
+    ) external onlyOwner {
+        if (totalMinted > 0) revert MintingStarted();
+        uint256 count = tokenIds.length;
+        if (models.length != count) revert LengthMismatch(count, models.length);
+        if (families.length != count) revert LengthMismatch(count, families.length);
+        if (questions.length != count) revert LengthMismatch(count, questions.length);
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+            if (tokenId >= maxSupply) revert InvalidTokenId(tokenId);
+            if (_attributes[tokenId].set) revert AttributesAlreadySet(tokenId);
+
+            _attributes[tokenId] = Attributes(models[i], families[i], questions[i], true);
+            _tokensByModel[models[i]].push(tokenId);
+            emit AttributesSet(tokenId, models[i], families[i], questions[i]);
+        }
+        attributesSet += tokenIds.length;
     }
 
     /// @notice Set the PoolManager address. Can only be called once.
+    ///         Also sets the royalty: the series surcharge, paid to PoolManager.
     function setPoolManager(address _poolManager) external onlyOwner {
-        require(poolManager == address(0), "Already set");
-        require(_poolManager != address(0), "Zero address");
+        if (poolManager != address(0)) revert PoolManagerAlreadySet(poolManager);
+        if (_poolManager == address(0)) revert ZeroAddress();
         poolManager = _poolManager;
+
+        (, uint256 surchargeBps,,,,) = IPoolManagerView(_poolManager).config();
+        _setDefaultRoyalty(_poolManager, uint96(surchargeBps));
+
         emit PoolManagerSet(_poolManager);
     }
 
     /// @notice Mint a new token. Only callable by PoolManager.
     function mint(address to, uint256 tokenId) external onlyPoolManager {
-        require(tokenId < MAX_SUPPLY, "Invalid tokenId");
-        require(totalMinted < MAX_SUPPLY, "Max supply reached");
+        if (tokenId >= maxSupply) revert InvalidTokenId(tokenId);
+        if (totalMinted >= maxSupply) revert MaxSupplyReached(maxSupply);
         totalMinted++;
         _mint(to, tokenId);
     }
 
     /// @notice Mark all art as destroyed after trigger event.
-    function destroyArt() external onlyPoolManager {
+    ///         ethPrice is the finalization price (0 for deadline or vote).
+    function destroyArt(uint256 ethPrice) external onlyPoolManager {
         artDestroyed = true;
+        destroyedAt = block.timestamp;
+        finalEthPrice = ethPrice;
         emit ArtDestroyed(block.timestamp);
+        emit BatchMetadataUpdate(0, maxSupply - 1);
+    }
+
+    /// @notice Serve the shared destroyed JSON instead of per-token tombstones.
+    function setDestroyedFallback(bool enabled) external onlyOwner {
+        useDestroyedFallback = enabled;
+        emit DestroyedFallbackSet(enabled);
+        emit BatchMetadataUpdate(0, maxSupply - 1);
     }
 
-    /// @notice Token URI — returns destroyed metadata if art has been burned.
+    /// @notice Token URI — IPFS metadata until the trigger, then an on-chain
+    ///         tombstone (or the shared destroyed JSON, if selected).
     function tokenURI(uint256 tokenId) public view override returns (string memory) {
-        _requireOwned(tokenId);
+        address owner = _requireOwned(tokenId);
         if (artDestroyed) {
-            return _destroyedURI;
+            if (useDestroyedFallback) return _destroyedURI;
+            return TombstoneRenderer.tokenURI(_tombstone(tokenId, owner));
         }
         return string(abi.encodePacked(_baseTokenURI, Strings.toString(tokenId), ".json"));
     }
 
+    /// @notice Collection-level metadata (ERC-7572); the destroyed variant
+    ///         once the art has been destroyed.
+    function contractURI() external view returns (string memory) {
+        return artDestroyed ? _destroyedContractURI : _contractURI;
+    }
+
+    /// @notice Model, provider family and question of a token.
+    function attributesOf(uint256 tokenId) public view returns (uint8 model, uint8 family, uint8 question) {
+        Attributes memory attributes = _attributes[tokenId];
+        if (!attributes.set) revert AttributesNotSet(tokenId);
+        return (attributes.model, attributes.family, attributes.question);
+    }
+
+    /// @notice Which model drew the token.
+    function modelOf(uint256 tokenId) external view returns (uint8 model) {
+        (model,,) = attributesOf(tokenId);
+    }
+
+    /// @notice Provider family of the token's model.
+    function familyOf(uint256 tokenId) external view returns (uint8 family) {
+        (, family,) = attributesOf(tokenId);
+    }
+
+    /// @notice Which question the token answers.
+    function questionOf(uint256 tokenId) external view returns (uint8 question) {
+        (,, question) = attributesOf(tokenId);
+    }
+
+    /// @notice Every token drawn by a model, minted or not, in the order set.
+    function tokensByModel(uint8 model) external view returns (uint256[] memory) {
+        return _tokensByModel[model];
+    }
+
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC721, ERC2981, IERC165)
+        returns (bool)
+    {
+        return interfaceId == bytes4(0x49064906) || super.supportsInterface(interfaceId);
+    }
+
+    function _tombstone(uint256 tokenId, address owner)
+        internal
+        view
+        returns (TombstoneRenderer.Tombstone memory)
+    {
+        Attributes memory attributes = _attributes[tokenId];
+        IPoolManagerView pool = IPoolManagerView(poolManager);
+        uint256 sales = pool.saleCount(tokenId);
+        IPoolManagerView.Sale[] memory finalSale = pool.getProvenance(tokenId, sales - 1, 1);
+        return TombstoneRenderer.Tombstone({
+            tokenId: tokenId,
+            collection: name(),
+            hasAttributes: attributes.set,
+            model: attributes.model,
+            family: attributes.family,
+            question: attributes.question,
+            costBasis: pool.costBasis(tokenId),
+            owner: owner,
+            sales: sales,
+            finalSaleAt: finalSale[0].timestamp,
+            destroyedAt: destroyedAt,
+            ethPrice: finalEthPrice
+        });
+    }
+
     /// @notice Override _update to block transfers outside PoolManager.
     ///         When PoolManager calls transferFrom, we skip approval checks
     ///         by passing auth=address(0) to the parent _update.
@@ -86,8 +292,8 @@ contract InnerModelsNFT is ERC721, Ownable {
         address from = _ownerOf(tokenId);
         // Allow minting (from == address(0))
         if (from != address(0)) {
-            require(poolManager != address(0), "PoolManager not set");
-            require(msg.sender == poolManager, "Transfers only via PoolManager");
+            if (poolManager == address(0)) revert PoolManagerNotSet();
+            if (msg.sender != poolManager) revert TransferRestricted(msg.sender);
             // Skip approval check for PoolManager
             return super._update(to, tokenId, address(0));
         }
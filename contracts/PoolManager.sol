@@ -1,10 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
-import "./InnerModelsNFT.sol";
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./PoolManagerBase.sol";
 
 /**
  * @title PoolManager
@@ -33,110 +32,60 @@ import "./InnerModelsNFT.sol";
  *
  * Resale Mechanism:
  *   - Seller lists NFT at price P (must be >= their cost basis)
+ *   - A listing may expire and may be reserved for one buyer (private sale)
+ *   - A Dutch-auction listing decays linearly from a start price to an end
+ *     price (>= cost basis); buyers pay the price at the current block
  *   - Buyer pays P + 6.66% surcharge
  *   - Seller receives their cost basis from guarantee pool
  *   - P enters guarantee pool (buyer's new cost basis)
  *   - 6.66% surcharge enters surplus pool
  *   - Buyer earns tickets: floor(surcharge / 0.001 ETH)
  *
+ * Auctions:
+ *   - English auctions with a reserve >= cost basis; bids are escrowed
+ *     and outbid bidders are refunded through pendingWithdrawals
+ *   - Bids in the last 10 minutes extend the auction
+ *   - Settlement is identical to buy(); initiating the trigger cancels
+ *     every open auction and refunds the leading bid
+ *
  * Distribution: Anyone can call distributeFor(address) to send
  *   payouts to any participant. Failed transfers are stored for
- *   manual withdrawal via withdraw().
+ *   manual withdrawal via withdraw(). The creator share may be split
+ *   among several beneficiaries (see PoolManagerExtension).
+ *
+ * Oracle: every trigger step reads the price through _getPrice(), which
+ *   checks the sequencer and validates the round. priceFeed may be a
+ *   Chainlink feed or a PriceModule taking the median of several feeds.
+ *   A price trigger is only finalized after several observations at or
+ *   above $10,000 across distinct rounds (checkpointTrigger).
+ *
+ * Early trigger vote: holders can also vote to trigger early, weighted
+ *   by tickets at the proposal snapshot. A passed vote starts the same
+ *   cooldown/finalize path and, like the deadline, cannot be cancelled.
+ *
+ * Series: the figures above are those of the first Inner Models drop.
+ *   Supply, surcharge, creator fee, trigger price, cooldown and deadline
+ *   are per-series PoolConfig values fixed at construction, usually by
+ *   InnerModelsFactory. maxSupply must match the linked NFT.
+ *
+ * Code layout: storage, events and shared internals live in
+ *   PoolManagerBase. Entry points not implemented here are delegated
+ *   down a chain of extensions, each passing on what it does not
+ *   implement: PoolManagerExtension (offers, auctions, orders, presale,
+ *   migration, beneficiaries), then PoolManagerTriggerExtension
+ *   (checkpoints, status, vote), then PoolManagerViewExtension
+ *   (paginated and historical views). None holds per-series data, so
+ *   one deployment of each serves every series from its PoolManager's
+ *   address through the fallback.
  */
-contract PoolManager is ReentrancyGuard, Ownable {
-
-    // ═══════════════════════════════════════════
-    //  Constants
-    // ═══════════════════════════════════════════
-
-    uint256 public constant MAX_SUPPLY = 297;
-    uint256 public constant SURCHARGE_BPS = 666;         // 6.66%
-    uint256 public constant CREATOR_FEE_BPS = 600;       // 6% of surplus
-    uint256 public constant BPS = 10000;
-    uint256 public constant TICKET_PRICE = 0.001 ether;  // 1 ticket per 0.001 ETH of surcharge
-    uint256 public constant TRIGGER_PRICE = 10_000e8;    // $10,000 in Chainlink 8-decimal format
-    uint256 public constant TRIGGER_COOLDOWN = 15 minutes;
-    uint256 public constant STALE_PRICE_THRESHOLD = 3600; // 1 hour
-    uint256 public constant DEADLINE_DURATION = 1095 days; // 36 months
-
-    // Uniform mint price — all artworks equal
-    uint256 public constant PRICE_COMMON    = 0.1 ether;
-    uint256 public constant PRICE_STANDARD  = 0.1 ether;
-    uint256 public constant PRICE_RARE      = 0.1 ether;
-    uint256 public constant PRICE_LEGENDARY = 0.1 ether;
+contract PoolManager is PoolManagerBase, Proxy {
+    using EnumerableSet for EnumerableSet.UintSet;
 
     // ═══════════════════════════════════════════
     //  State
     // ═══════════════════════════════════════════
 
-    InnerModelsNFT public immutable nft;
-    AggregatorV3Interface public immutable priceFeed;
-    AggregatorV3Interface public immutable sequencerUptimeFeed;
-    address public immutable creator;
-    uint256 public immutable deployedAt;
-
-    uint256 public totalMinted;
-
-    // Tiered mint prices per token
-    mapping(uint256 => uint256) public mintPriceOf;
-
-    // Two pools
-    uint256 public guaranteePool;
-    uint256 public surplusPool;
-
-    // Per-token tracking
-    mapping(uint256 => uint256) public costBasis;
-
-    // Smart Tickets
-    mapping(address => uint256) public tickets;
-    uint256 public totalTickets;
-    uint256 public totalParticipants;
-
-    // Marketplace listings
-    struct Listing {
-        uint256 price;
-        bool active;
-    }
-    mapping(uint256 => Listing) public listings;
-
-    // Trigger state
-    enum TriggerState { Inactive, Initiated, Finalized }
-    TriggerState public triggerState;
-    uint256 public triggerTimestamp;
-
-    // Distribution after trigger
-    mapping(address => bool) public bonusClaimed;
-    mapping(uint256 => bool) public costBasisClaimed;
-    bool public creatorClaimed;
-    uint256 public bonusesDistributed;
-
-    // Fallback for failed transfers
-    mapping(address => uint256) public pendingWithdrawals;
-    uint256 public totalPendingWithdrawals;
-
-    // ═══════════════════════════════════════════
-    //  Events
-    // ═══════════════════════════════════════════
-
-    event Minted(address indexed buyer, uint256 indexed tokenId, uint256 price, uint256 ticketsEarned);
-    event Listed(uint256 indexed tokenId, uint256 price);
-    event Delisted(uint256 indexed tokenId);
-    event Sold(
-        uint256 indexed tokenId,
-        address indexed seller,
-        address indexed buyer,
-        uint256 salePrice,
-        uint256 surcharge,
-        uint256 sellerPayout,
-        uint256 ticketsEarned
-    );
-    event TriggerInitiated(uint256 ethPrice, uint256 timestamp);
-    event TriggerFinalized(uint256 ethPrice, uint256 guaranteePool, uint256 surplusPool);
-    event TriggerCancelled(uint256 ethPrice, uint256 timestamp);
-    event Distributed(address indexed participant, uint256 bonus, uint256 costBasisTotal);
-    event CreatorDistributed(address indexed creator, uint256 amount);
-    event PendingWithdrawal(address indexed participant, uint256 amount);
-    event Withdrawn(address indexed participant, uint256 amount);
+    address public immutable extension;
 
     // ═══════════════════════════════════════════
     //  Constructor
@@ -147,22 +96,38 @@ contract PoolManager is ReentrancyGuard, Ownable {
         address _priceFeed,
         address _sequencerUptimeFeed,
         address _creator,
-        uint256[] memory _tierAssignments  // 297 values: 0=Common, 1=Standard, 2=Rare, 3=Legendary
+        PoolConfig memory _config,
+        uint256[TIER_COUNT] memory _tierPrices,
+        uint256[] memory _tierAssignments, // maxSupply values: 0=Common, 1=Standard, 2=Rare, 3=Legendary
+        address _extension
     ) Ownable(_creator) {
-        require(_tierAssignments.length == MAX_SUPPLY, "Must provide 297 tier assignments");
-        require(_creator != address(0), "Creator cannot be zero address");
+        // A zero creator is already rejected by Ownable (OwnableInvalidOwner)
+        // InvalidConfig's field is the PoolConfig member's position
+        if (_config.maxSupply == 0) revert InvalidConfig(0, 0);
+        if (_config.surchargeBps == 0 || _config.surchargeBps >= BPS) revert InvalidConfig(1, _config.surchargeBps);
+        if (_config.creatorFeeBps >= BPS) revert InvalidConfig(2, _config.creatorFeeBps);
+        if (_config.triggerPrice == 0) revert InvalidConfig(3, 0);
+        if (_config.triggerCooldown == 0) revert InvalidConfig(4, 0);
+        if (_config.deadlineDuration == 0) revert InvalidConfig(5, 0);
+        uint256 nftSupply = InnerModelsNFT(_nft).maxSupply();
+        if (nftSupply != _config.maxSupply) revert SupplyMismatch(nftSupply, _config.maxSupply);
+        if (_tierAssignments.length != _config.maxSupply) {
+            revert WrongTierAssignmentCount(_tierAssignments.length, _config.maxSupply);
+        }
+        if (_extension == address(0)) revert InvalidExtension();
 
         nft = InnerModelsNFT(_nft);
         priceFeed = AggregatorV3Interface(_priceFeed);
         sequencerUptimeFeed = AggregatorV3Interface(_sequencerUptimeFeed);
         creator = _creator;
+        config = _config;
         deployedAt = block.timestamp;
+        extension = _extension;
 
-        // Set mint prices per tier
-        uint256[4] memory tierPrices = [PRICE_COMMON, PRICE_STANDARD, PRICE_RARE, PRICE_LEGENDARY];
+        _setTierPrices(_tierPrices);
         for (uint256 i = 0; i < _tierAssignments.length; i++) {
-            require(_tierAssignments[i] < 4, "Invalid tier assignment");
-            mintPriceOf[i] = tierPrices[_tierAssignments[i]];
+            if (_tierAssignments[i] >= TIER_COUNT) revert InvalidTierAssignment(i, _tierAssignments[i]);
+            _tierOf[i] = uint8(_tierAssignments[i]);
         }
     }
 
@@ -173,27 +138,37 @@ contract PoolManager is ReentrancyGuard, Ownable {
     /// @notice Mint an NFT. Full payment goes to the guarantee pool.
     ///         Minter earns tickets based on a notional 6.66% surcharge.
     function mint(uint256 tokenId) external payable nonReentrant {
-        require(triggerState == TriggerState.Inactive, "Trigger active");
-        require(totalMinted < MAX_SUPPLY, "Sold out");
-        require(tokenId < MAX_SUPPLY, "Invalid tokenId");
-        require(mintPriceOf[tokenId] > 0, "Invalid tokenId");
-        require(costBasis[tokenId] == 0, "Token already minted");
-        require(msg.value == mintPriceOf[tokenId], "Wrong mint price");
-
-        totalMinted++;
-        costBasis[tokenId] = msg.value;
-        guaranteePool += msg.value;
-
-        // Award tickets to minter (notional surcharge)
-        uint256 notionalSurcharge = (msg.value * SURCHARGE_BPS) / BPS;
-        uint256 newTickets = notionalSurcharge / TICKET_PRICE;
-        if (newTickets > 0) {
-            _addTickets(msg.sender, newTickets);
-        }
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        if (block.timestamp < publicStart) revert PublicMintNotOpen(publicStart);
+        _mintToken(msg.sender, tokenId, msg.value);
+    }
 
-        nft.mint(msg.sender, tokenId);
+    /// @notice Mint several NFTs in one transaction (e.g. a full model row).
+    ///         msg.value must equal the sum of their mint prices.
+    ///         Tickets, cost basis and events are identical to minting one by one.
+    function mintBatch(uint256[] calldata tokenIds) external payable nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        if (block.timestamp < publicStart) revert PublicMintNotOpen(publicStart);
+        if (tokenIds.length == 0) revert EmptyBatch();
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 price = _mintPrice(tokenIds[i]);
+            total += price;
+            _mintToken(msg.sender, tokenIds[i], price);
+        }
+        if (msg.value != total) revert WrongMintPrice(total, msg.value);
+    }
 
-        emit Minted(msg.sender, tokenId, msg.value, newTickets);
+    /// @notice Mint an NFT for someone else (gifts, checkout contracts).
+    ///         The caller pays; the recipient receives the NFT, its cost
+    ///         basis guarantee and the tickets, exactly as if they had minted.
+    function mintTo(address recipient, uint256 tokenId) external payable nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        if (block.timestamp < publicStart) revert PublicMintNotOpen(publicStart);
+        if (recipient == address(0)) revert InvalidRecipient(recipient);
+        _mintToken(recipient, tokenId, msg.value);
+        emit MintedFor(msg.sender, recipient, tokenId);
     }
 
     // ═══════════════════════════════════════════
@@ -202,22 +177,68 @@ contract PoolManager is ReentrancyGuard, Ownable {
 
     /// @notice List your NFT for sale. Price must be >= your cost basis.
     function list(uint256 tokenId, uint256 price) external {
-        require(triggerState == TriggerState.Inactive, "Trigger active");
-        require(nft.ownerOf(tokenId) == msg.sender, "Not owner");
-        require(price >= costBasis[tokenId], "Price below cost basis");
-        require(price > 0, "Price must be > 0");
+        _list(tokenId, price, 0, address(0));
+    }
+
+    /// @notice List your NFT with an expiry and/or a reserved buyer (private sale).
+    ///         expiresAt = 0 never expires; reservedFor = address(0) is open to anyone.
+    function listWithTerms(
+        uint256 tokenId,
+        uint256 price,
+        uint256 expiresAt,
+        address reservedFor
+    ) external {
+        if (expiresAt != 0 && expiresAt <= block.timestamp) revert InvalidExpiry(expiresAt);
+        _list(tokenId, price, expiresAt, reservedFor);
+    }
+
+    /// @notice List your NFT as a Dutch auction. The price decays linearly from
+    ///         startPrice to endPrice over duration, then stays at endPrice.
+    ///         endPrice must be >= your cost basis.
+    function listDutch(
+        uint256 tokenId,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 duration
+    ) external {
+        if (startPrice <= endPrice) revert InvalidDutchPrices(startPrice, endPrice);
+        if (duration == 0) revert InvalidDuration();
+        _list(tokenId, endPrice, 0, address(0));
+
+        Listing storage listing = listings[tokenId];
+        listing.startPrice = startPrice;
+        listing.startTime = block.timestamp;
+        listing.duration = duration;
+
+        emit DutchListed(tokenId, startPrice, endPrice, block.timestamp, duration);
+    }
+
+    /// @notice Change the price of an active listing. Expiry and reserved buyer are kept.
+    function updatePrice(uint256 tokenId, uint256 newPrice) external {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        address holder = nft.ownerOf(tokenId);
+        if (holder != msg.sender) revert NotTokenOwner(tokenId, holder);
+
+        Listing storage listing = listings[tokenId];
+        if (!listing.active) revert NotListed(tokenId);
+        if (!_notExpired(listing.expiresAt)) revert ListingExpired(tokenId, listing.expiresAt);
+        if (listing.startPrice != 0) revert DutchAuctionListing(tokenId);
+        if (newPrice < costBasis[tokenId]) revert PriceBelowCostBasis(newPrice, costBasis[tokenId]);
+        if (newPrice == 0) revert ZeroPrice();
 
-        listings[tokenId] = Listing(price, true);
+        uint256 oldPrice = listing.price;
+        listing.price = newPrice;
 
-        emit Listed(tokenId, price);
+        emit PriceUpdated(tokenId, oldPrice, newPrice);
     }
 
     /// @notice Remove your NFT from sale.
     function delist(uint256 tokenId) external {
-        require(nft.ownerOf(tokenId) == msg.sender, "Not owner");
-        require(listings[tokenId].active, "Not listed");
+        address holder = nft.ownerOf(tokenId);
+        if (holder != msg.sender) revert NotTokenOwner(tokenId, holder);
+        if (!listings[tokenId].active) revert NotListed(tokenId);
 
-        listings[tokenId].active = false;
+        _closeListing(tokenId);
 
         emit Delisted(tokenId);
     }
@@ -229,47 +250,65 @@ contract PoolManager is ReentrancyGuard, Ownable {
     /// @notice Buy a listed NFT. You pay: listing price + 6.66% surcharge.
     ///         Seller receives their cost basis. Price goes to guarantee pool.
     ///         Surcharge goes to surplus pool. Buyer earns tickets.
+    ///         Dutch auctions charge the price at the current block; any
+    ///         overpayment is refunded.
     function buy(uint256 tokenId) external payable nonReentrant {
-        require(triggerState == TriggerState.Inactive, "Trigger active");
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
 
         Listing memory listing = listings[tokenId];
-        require(listing.active, "Not listed");
+        _requireBuyable(tokenId, listing, msg.sender);
 
-        uint256 salePrice = listing.price;
-        uint256 surcharge = (salePrice * SURCHARGE_BPS) / BPS;
+        uint256 salePrice = _currentPrice(listing);
+        uint256 surcharge = (salePrice * config.surchargeBps) / BPS;
         uint256 totalCost = salePrice + surcharge;
-        require(msg.value == totalCost, "Wrong payment amount");
+        if (listing.startPrice == 0) {
+            if (msg.value != totalCost) revert WrongPayment(totalCost, msg.value);
+        } else {
+            if (msg.value < totalCost) revert InsufficientPayment(totalCost, msg.value);
+        }
 
         address seller = nft.ownerOf(tokenId);
-        require(seller != msg.sender, "Cannot buy own NFT");
+        if (seller == msg.sender) revert CannotBuyOwnToken(tokenId);
 
-        uint256 sellerCostBasis = costBasis[tokenId];
+        _executeSale(tokenId, seller, msg.sender, salePrice, surcharge);
 
-        // --- Effects ---
-        listings[tokenId].active = false;
-        costBasis[tokenId] = salePrice;
-        guaranteePool = guaranteePool - sellerCostBasis + salePrice;
-        surplusPool += surcharge;
+        uint256 refund = msg.value - totalCost;
+        if (refund > 0) {
+            (bool success,) = payable(msg.sender).call{value: refund}("");
+            if (!success) revert TransferFailed(msg.sender, refund);
+        }
+    }
 
-        // Award tickets to buyer
-        uint256 newTickets = surcharge / TICKET_PRICE;
-        if (newTickets > 0) {
-            _addTickets(msg.sender, newTickets);
+    /// @notice Buy several listed NFTs in one transaction.
+    ///         Skips tokens that were delisted, sold or expired in the meantime,
+    ///         that are reserved for someone else, or that you own.
+    ///         Reverts if the total cost exceeds maxTotal. Unused ETH is refunded.
+    function buyMany(uint256[] calldata tokenIds, uint256 maxTotal) external payable nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+
+        uint256 spent = 0;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+            Listing memory listing = listings[tokenId];
+            if (!_isBuyable(listing, msg.sender)) continue;
+
+            address seller = nft.ownerOf(tokenId);
+            if (seller == msg.sender) continue;
+
+            uint256 salePrice = _currentPrice(listing);
+            uint256 surcharge = (salePrice * config.surchargeBps) / BPS;
+            spent += salePrice + surcharge;
+            _executeSale(tokenId, seller, msg.sender, salePrice, surcharge);
         }
 
-        // --- Interactions ---
-        // Transfer NFT from seller to buyer
-        nft.transferFrom(seller, msg.sender, tokenId);
+        if (spent > maxTotal) revert MaxTotalExceeded(spent, maxTotal);
+        if (spent > msg.value) revert InsufficientPayment(spent, msg.value);
 
-        // Pay seller their cost basis (pull pattern on failure)
-        (bool success,) = payable(seller).call{value: sellerCostBasis}("");
-        if (!success) {
-            pendingWithdrawals[seller] += sellerCostBasis;
-            totalPendingWithdrawals += sellerCostBasis;
-            emit PendingWithdrawal(seller, sellerCostBasis);
+        uint256 refund = msg.value - spent;
+        if (refund > 0) {
+            (bool success,) = payable(msg.sender).call{value: refund}("");
+            if (!success) revert TransferFailed(msg.sender, refund);
         }
-
-        emit Sold(tokenId, seller, msg.sender, salePrice, surcharge, sellerCostBasis, newTickets);
     }
 
     // ═══════════════════════════════════════════
@@ -277,92 +316,94 @@ contract PoolManager is ReentrancyGuard, Ownable {
     // ═══════════════════════════════════════════
 
     /// @notice Initiate the trigger when ETH >= $10,000 OR when deadline has passed.
-    ///         Freezes all marketplace activity for TRIGGER_COOLDOWN.
-    function initiateTrigger() external {
-        require(triggerState == TriggerState.Inactive, "Already initiated");
+    ///         Freezes all marketplace activity for the trigger cooldown.
+    ///         Cancels every open auction and refunds the leading bids.
+    ///         Starts a fresh observation history (see checkpointTrigger).
+    ///         Not reentrant, so a seller paid during buyMany() cannot start
+    ///         the trigger halfway through the batch.
+    function initiateTrigger() external nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerAlreadyInitiated();
+        _beginTrigger();
 
-        bool deadlineReached = block.timestamp >= deployedAt + DEADLINE_DURATION;
+        bool deadlineReached = block.timestamp >= deployedAt + config.deadlineDuration;
 
         if (!deadlineReached) {
-            _checkSequencer();
-            (, int256 price,,uint256 updatedAt,) = priceFeed.latestRoundData();
-            require(price > 0, "Invalid price");
-            require(block.timestamp - updatedAt <= STALE_PRICE_THRESHOLD, "Stale price data");
-            require(uint256(price) >= TRIGGER_PRICE, "ETH below $10,000 and deadline not reached");
-
-            triggerState = TriggerState.Initiated;
-            triggerTimestamp = block.timestamp;
-            emit TriggerInitiated(uint256(price), block.timestamp);
+            (uint256 price, uint80 roundId) = _getPrice();
+            if (price < config.triggerPrice) revert PriceBelowTrigger(price, config.triggerPrice);
+            _observe(price, roundId);
+            emit TriggerInitiated(price, block.timestamp);
         } else {
-            triggerState = TriggerState.Initiated;
-            triggerTimestamp = block.timestamp;
             emit TriggerInitiated(0, block.timestamp);
         }
     }
 
-    /// @notice Finalize the trigger after cooldown. Re-verifies price (or deadline).
+    /// @notice Finalize the trigger after cooldown. Re-verifies price (or deadline;
+    ///         a trigger passed by holder vote needs no price).
+    ///         A price trigger also needs MIN_TRIGGER_OBSERVATIONS observations
+    ///         >= $10,000 from distinct rounds, counting this one.
     ///         Destroys all art and enables distribution.
     function finalizeTrigger() external nonReentrant {
-        require(triggerState == TriggerState.Initiated, "Not initiated");
-        require(block.timestamp >= triggerTimestamp + TRIGGER_COOLDOWN, "Cooldown not over");
-
-        bool deadlineReached = block.timestamp >= deployedAt + DEADLINE_DURATION;
-
-        if (!deadlineReached) {
-            _checkSequencer();
-            (, int256 price,,uint256 updatedAt,) = priceFeed.latestRoundData();
-            require(price > 0, "Invalid price");
-            require(block.timestamp - updatedAt <= STALE_PRICE_THRESHOLD, "Stale price data");
-            require(uint256(price) >= TRIGGER_PRICE, "Price dropped below $10,000");
+        if (triggerState != TriggerState.Initiated) revert TriggerNotInitiated();
+        uint256 cooldownEnd = triggerTimestamp + config.triggerCooldown;
+        if (block.timestamp < cooldownEnd) revert CooldownNotOver(cooldownEnd);
+
+        bool deadlineReached = block.timestamp >= deployedAt + config.deadlineDuration;
+
+        if (!deadlineReached && !voteTriggered) {
+            (uint256 price, uint80 roundId) = _getPrice();
+            if (price < config.triggerPrice) revert PriceBelowTrigger(price, config.triggerPrice);
+            _observe(price, roundId);
+            if (triggerObservationsAbove < MIN_TRIGGER_OBSERVATIONS) {
+                revert NotEnoughObservations(triggerObservationsAbove, MIN_TRIGGER_OBSERVATIONS);
+            }
 
             triggerState = TriggerState.Finalized;
-            nft.destroyArt();
-            emit TriggerFinalized(uint256(price), guaranteePool, surplusPool);
+            nft.destroyArt(price);
+            emit TriggerFinalized(price, guaranteePool, surplusPool);
         } else {
             triggerState = TriggerState.Finalized;
-            nft.destroyArt();
+            nft.destroyArt(0);
             emit TriggerFinalized(0, guaranteePool, surplusPool);
         }
     }
 
     /// @notice Cancel a trigger if ETH drops back below $10,000 during cooldown.
-    ///         Cannot cancel a deadline-based trigger.
+    ///         Cannot cancel a deadline-based or vote-based trigger.
     function cancelTrigger() external {
-        require(triggerState == TriggerState.Initiated, "Not initiated");
-        require(block.timestamp < triggerTimestamp + TRIGGER_COOLDOWN, "Cooldown passed");
+        if (triggerState != TriggerState.Initiated) revert TriggerNotInitiated();
+        uint256 cooldownEnd = triggerTimestamp + config.triggerCooldown;
+        if (block.timestamp >= cooldownEnd) revert CooldownPassed(cooldownEnd);
 
-        bool deadlineReached = block.timestamp >= deployedAt + DEADLINE_DURATION;
-        require(!deadlineReached, "Deadline trigger cannot be cancelled");
+        bool deadlineReached = block.timestamp >= deployedAt + config.deadlineDuration;
+        if (deadlineReached) revert DeadlineTrigger();
+        if (voteTriggered) revert VoteTrigger();
 
-        _checkSequencer();
-        (, int256 price,,uint256 updatedAt,) = priceFeed.latestRoundData();
-        require(block.timestamp - updatedAt <= STALE_PRICE_THRESHOLD, "Stale price data");
-        require(uint256(price) < TRIGGER_PRICE, "Price still above trigger");
+        (uint256 price,) = _getPrice();
+        if (price >= config.triggerPrice) revert PriceAboveTrigger(price, config.triggerPrice);
 
         triggerState = TriggerState.Inactive;
         triggerTimestamp = 0;
-        emit TriggerCancelled(uint256(price), block.timestamp);
+        emit TriggerCancelled(price, block.timestamp);
     }
 
     /// @notice Reset the trigger after cooldown if ETH dropped back below $10,000.
     ///         Prevents the marketplace from being stuck in Initiated state.
-    ///         Cannot reset a deadline-based trigger.
+    ///         Cannot reset a deadline-based or vote-based trigger.
     function resetTrigger() external {
-        require(triggerState == TriggerState.Initiated, "Not initiated");
-        require(block.timestamp >= triggerTimestamp + TRIGGER_COOLDOWN, "Cooldown not over");
+        if (triggerState != TriggerState.Initiated) revert TriggerNotInitiated();
+        uint256 cooldownEnd = triggerTimestamp + config.triggerCooldown;
+        if (block.timestamp < cooldownEnd) revert CooldownNotOver(cooldownEnd);
 
-        bool deadlineReached = block.timestamp >= deployedAt + DEADLINE_DURATION;
-        require(!deadlineReached, "Use finalizeTrigger for deadline");
+        bool deadlineReached = block.timestamp >= deployedAt + config.deadlineDuration;
+        if (deadlineReached) revert DeadlineTrigger();
+        if (voteTriggered) revert VoteTrigger();
 
-        _checkSequencer();
-        (, int256 price,,uint256 updatedAt,) = priceFeed.latestRoundData();
-        require(price > 0, "Invalid price");
-        require(block.timestamp - updatedAt <= STALE_PRICE_THRESHOLD, "Stale price data");
-        require(uint256(price) < TRIGGER_PRICE, "Price still above trigger");
+        (uint256 price,) = _getPrice();
+        if (price >= config.triggerPrice) revert PriceAboveTrigger(price, config.triggerPrice);
 
         triggerState = TriggerState.Inactive;
         triggerTimestamp = 0;
-        emit TriggerCancelled(uint256(price), block.timestamp);
+        emit TriggerCancelled(price, block.timestamp);
     }
 
     // ═══════════════════════════════════════════
@@ -371,62 +412,58 @@ contract PoolManager is ReentrancyGuard, Ownable {
 
     /// @notice Distribute payout to any participant. Anyone can call this.
     ///         Sends: ticket bonus + cost basis for any held tokens.
+    ///         Holders without tickets are paid their cost basis.
     ///         If transfer fails, amount is stored for manual withdrawal.
     function distributeFor(address participant) external nonReentrant {
-        require(triggerState == TriggerState.Finalized, "Not finalized");
-        require(tickets[participant] > 0, "No tickets");
-        require(!bonusClaimed[participant], "Already distributed");
-
-        bonusClaimed[participant] = true;
-        bonusesDistributed++;
-
-        // Calculate ticket bonus: participant's share of 94% of surplus
-        uint256 surplusForParticipants = (surplusPool * (BPS - CREATOR_FEE_BPS)) / BPS;
-        uint256 bonus = (surplusForParticipants * tickets[participant]) / totalTickets;
-
-        // Also distribute cost basis for any tokens this address holds
-        uint256 costBasisTotal = 0;
-        for (uint256 i = 0; i < MAX_SUPPLY; i++) {
-            if (costBasis[i] > 0 && !costBasisClaimed[i]) {
-                try nft.ownerOf(i) returns (address owner) {
-                    if (owner == participant) {
-                        costBasisClaimed[i] = true;
-                        costBasisTotal += costBasis[i];
-                    }
-                } catch {}
-            }
-        }
+        if (triggerState != TriggerState.Finalized) revert NotFinalized();
+        if (tickets[participant] == 0 && _ownedTokens[participant].length() == 0) revert NothingToDistribute(participant);
+        if (!_isOwed(participant)) revert AlreadyDistributed(participant);
 
-        uint256 totalPayout = bonus + costBasisTotal;
+        _distribute(participant);
+    }
 
-        if (totalPayout > 0) {
-            (bool success,) = payable(participant).call{value: totalPayout}("");
-            if (!success) {
-                pendingWithdrawals[participant] += totalPayout;
-                totalPendingWithdrawals += totalPayout;
-                emit PendingWithdrawal(participant, totalPayout);
-            }
+    /// @notice Distribute payouts to many participants in one transaction (for keepers).
+    ///         Addresses that are already distributed or hold neither tickets
+    ///         nor tokens are skipped.
+    ///         Returns how many were paid and how many ticket holders are still
+    ///         pending (holders without tickets are tracked by costBasesDistributed).
+    function distributeForMany(address[] calldata participants) external nonReentrant returns (
+        uint256 distributed,
+        uint256 remaining
+    ) {
+        if (triggerState != TriggerState.Finalized) revert NotFinalized();
+
+        for (uint256 i = 0; i < participants.length; i++) {
+            address participant = participants[i];
+            if (!_isOwed(participant)) continue;
+            _distribute(participant);
+            distributed++;
         }
 
-        emit Distributed(participant, bonus, costBasisTotal);
+        remaining = totalParticipants - bonusesDistributed;
+        emit BatchDistributed(distributed, participants.length - distributed, remaining);
     }
 
-    /// @notice Creator claims their 6% of the surplus pool.
-    ///         Anyone can call this — funds go to the creator address.
+    /// @notice Pay out the creator's share of the surplus pool (6% for
+    ///         Inner Models). Anyone can call this. Without beneficiaries
+    ///         the creator is paid directly; with them, each share is
+    ///         credited to pendingWithdrawals and claimed with withdraw().
+    ///         CreatorDistributed reports the total; each beneficiary's
+    ///         credit is its own PendingWithdrawal event.
     function distributeCreator() external nonReentrant {
-        require(triggerState == TriggerState.Finalized, "Not finalized");
-        require(!creatorClaimed, "Already claimed");
+        if (triggerState != TriggerState.Finalized) revert NotFinalized();
+        if (creatorClaimed) revert CreatorAlreadyDistributed();
 
         creatorClaimed = true;
 
-        uint256 creatorPayout = (surplusPool * CREATOR_FEE_BPS) / BPS;
+        uint256 creatorPayout = (surplusPool * config.creatorFeeBps) / BPS;
 
-        if (creatorPayout > 0) {
+        if (_beneficiaries.length > 0) {
+            _creditBeneficiaries(creatorPayout);
+        } else if (creatorPayout > 0) {
             (bool success,) = payable(creator).call{value: creatorPayout}("");
             if (!success) {
-                pendingWithdrawals[creator] += creatorPayout;
-                totalPendingWithdrawals += creatorPayout;
-                emit PendingWithdrawal(creator, creatorPayout);
+                _creditPending(creator, creatorPayout);
             }
         }
 
@@ -436,13 +473,13 @@ contract PoolManager is ReentrancyGuard, Ownable {
     /// @notice Withdraw pending funds if a previous distribution failed.
     function withdraw() external nonReentrant {
         uint256 amount = pendingWithdrawals[msg.sender];
-        require(amount > 0, "Nothing to withdraw");
+        if (amount == 0) revert NothingToWithdraw();
 
         pendingWithdrawals[msg.sender] = 0;
         totalPendingWithdrawals -= amount;
 
         (bool success,) = payable(msg.sender).call{value: amount}("");
-        require(success, "Withdraw failed");
+        if (!success) revert TransferFailed(msg.sender, amount);
 
         emit Withdrawn(msg.sender, amount);
     }
@@ -451,28 +488,46 @@ contract PoolManager is ReentrancyGuard, Ownable {
     //  Views
     // ═══════════════════════════════════════════
 
+    /// @notice Mint price of a token (0 if the id is out of range).
+    function mintPriceOf(uint256 tokenId) external view returns (uint256) {
+        return tokenId < config.maxSupply ? _mintPrice(tokenId) : 0;
+    }
+
     /// @notice Get the total cost to buy a listed NFT (price + surcharge).
+    ///         Reverts if the listing expired or is reserved for a buyer other than the caller.
     function getBuyPrice(uint256 tokenId) external view returns (uint256) {
         Listing memory listing = listings[tokenId];
-        require(listing.active, "Not listed");
-        uint256 surcharge = (listing.price * SURCHARGE_BPS) / BPS;
-        return listing.price + surcharge;
+        _requireBuyable(tokenId, listing, msg.sender);
+        uint256 price = _currentPrice(listing);
+        uint256 surcharge = (price * config.surchargeBps) / BPS;
+        return price + surcharge;
+    }
+
+    /// @notice Get the current sale price of a listing (before surcharge).
+    ///         For Dutch auctions this is the decayed price at the current block.
+    function getCurrentPrice(uint256 tokenId) external view returns (uint256) {
+        Listing memory listing = listings[tokenId];
+        if (!listing.active) revert NotListed(tokenId);
+        return _currentPrice(listing);
     }
 
     /// @notice Get the current ETH/USD price from Chainlink.
+    ///         Reverts with the same checks as the trigger (sequencer, invalid,
+    ///         incomplete or stale round); see getTriggerStatus() for a
+    ///         non-reverting view.
     function getEthPrice() external view returns (uint256) {
-        (, int256 price,,,) = priceFeed.latestRoundData();
-        return uint256(price);
+        (uint256 price,) = _getPrice();
+        return price;
     }
 
     /// @notice Get the deadline timestamp.
     function deadline() external view returns (uint256) {
-        return deployedAt + DEADLINE_DURATION;
+        return deployedAt + config.deadlineDuration;
     }
 
     /// @notice Check if the deadline has passed.
     function isDeadlineReached() external view returns (bool) {
-        return block.timestamp >= deployedAt + DEADLINE_DURATION;
+        return block.timestamp >= deployedAt + config.deadlineDuration;
     }
 
     /// @notice Get pool statistics.
@@ -495,20 +550,16 @@ contract PoolManager is ReentrancyGuard, Ownable {
     ) {
         participantTickets = tickets[participant];
         if (totalTickets > 0 && participantTickets > 0) {
-            uint256 surplusForParticipants = (surplusPool * (BPS - CREATOR_FEE_BPS)) / BPS;
+            uint256 surplusForParticipants = (surplusPool * (BPS - config.creatorFeeBps)) / BPS;
             bonus = (surplusForParticipants * participantTickets) / totalTickets;
         }
 
-        // Sum cost basis for held tokens
-        for (uint256 i = 0; i < MAX_SUPPLY; i++) {
-            if (costBasis[i] > 0) {
-                try nft.ownerOf(i) returns (address owner) {
-                    if (owner == participant) {
-                        costBasisTotal += costBasis[i];
-                    }
-                } catch {}
-            }
-        }
+        costBasisTotal = costBasisOf[participant];
+    }
+
+    /// @notice Get the token ids currently held by an address.
+    function tokensOfOwner(address owner) external view returns (uint256[] memory) {
+        return _ownedTokens[owner].values();
     }
 
     /// @notice Get ticket info for an address.
@@ -516,56 +567,40 @@ contract PoolManager is ReentrancyGuard, Ownable {
         return tickets[participant];
     }
 
-    // ═══════════════════════════════════════════
-    //  Internal
-    // ═══════════════════════════════════════════
-
-    event TicketsAwarded(address indexed participant, uint256 amount, uint256 newTotal);
-
-    function _addTickets(address participant, uint256 amount) internal {
-        if (tickets[participant] == 0) {
-            totalParticipants++;
-        }
-        tickets[participant] += amount;
-        totalTickets += amount;
-        emit TicketsAwarded(participant, amount, tickets[participant]);
-    }
-
-    function _checkSequencer() internal view {
-        if (address(sequencerUptimeFeed) == address(0)) return;
-
-        (, int256 answer, uint256 startedAt,,) = sequencerUptimeFeed.latestRoundData();
-        require(answer == 0, "Sequencer is down");
-        require(block.timestamp - startedAt > TRIGGER_COOLDOWN, "Sequencer grace period");
-    }
-
     // ═══════════════════════════════════════════
     //  Emergency
     // ═══════════════════════════════════════════
 
     /// @notice Recover any dust ETH left after all distributions are done.
+    ///         ETH still escrowed in open offers is never swept. Dust goes
+    ///         to the creator, or is split like the creator share.
     function sweepDust() external onlyOwner {
-        require(triggerState == TriggerState.Finalized, "Not finalized");
-        require(creatorClaimed, "Creator not distributed");
-        require(bonusesDistributed == totalParticipants, "Not all bonuses distributed");
-        require(totalPendingWithdrawals == 0, "Pending withdrawals exist");
-
-        // Check all cost bases claimed for minted tokens
-        for (uint256 i = 0; i < MAX_SUPPLY; i++) {
-            if (costBasis[i] > 0) {
-                try nft.ownerOf(i) returns (address) {
-                    require(costBasisClaimed[i], "Not all cost bases distributed");
-                } catch {}
-            }
-        }
+        if (triggerState != TriggerState.Finalized) revert NotFinalized();
+        if (!creatorClaimed) revert CreatorNotDistributed();
+        if (bonusesDistributed != totalParticipants) revert BonusesPending(bonusesDistributed, totalParticipants);
+        if (totalPendingWithdrawals > 0) revert PendingWithdrawalsExist(totalPendingWithdrawals);
+        if (costBasesDistributed != totalMinted) revert CostBasesPending(costBasesDistributed, totalMinted);
+
+        uint256 dust = address(this).balance - totalOfferEscrow;
+        if (dust == 0) return;
 
-        uint256 dust = address(this).balance;
-        if (dust > 0) {
+        if (_beneficiaries.length > 0) {
+            _creditBeneficiaries(dust);
+        } else {
             (bool success,) = payable(creator).call{value: dust}("");
-            require(success, "Sweep failed");
+            if (!success) revert TransferFailed(creator, dust);
         }
     }
 
+    // ═══════════════════════════════════════════
+    //  Receive & delegation
+    // ═══════════════════════════════════════════
+
     /// @notice Allow contract to receive ETH directly (for edge cases).
     receive() external payable {}
+
+    /// @dev Calls to functions not defined here are delegated to PoolManagerExtension.
+    function _implementation() internal view override returns (address) {
+        return extension;
+    }
 }
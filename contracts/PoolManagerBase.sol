@@ -0,0 +1,734 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
+import "./InnerModelsNFT.sol";
+
+/**
+ * @title PoolManagerBase
+ * @notice Storage, events and shared internal logic of the PoolManager.
+ *
+ * PoolManager is split across four contracts to stay under the EIP-170
+ * code size limit:
+ *   - PoolManager: minting, listings, trigger and distribution
+ *   - PoolManagerExtension: offers, auctions, orders, presale, migration;
+ *     reached through PoolManager's fallback
+ *   - PoolManagerTriggerExtension: trigger checkpoints, status and vote;
+ *     reached through PoolManagerExtension's fallback
+ *   - PoolManagerViewExtension: paginated and historical views;
+ *     reached through PoolManagerTriggerExtension's fallback
+ * All extensions execute via delegatecall in PoolManager's storage context.
+ *
+ * All four inherit their entire storage layout from this contract.
+ * None may declare state variables of its own; the address of the next
+ * contract in the chain is an immutable, which lives in code, not storage.
+ * Plain ETH is only accepted by PoolManager's receive(); the extensions'
+ * receive() can only be reached by paying them directly and reverts with
+ * DirectPayment.
+ */
+abstract contract PoolManagerBase is ReentrancyGuard, Ownable, EIP712 {
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using Checkpoints for Checkpoints.Trace208;
+
+    // ═══════════════════════════════════════════
+    //  Constants
+    // ═══════════════════════════════════════════
+
+    uint256 public constant BPS = 10000;
+    uint256 public constant TICKET_PRICE = 0.001 ether;  // 1 ticket per 0.001 ETH of surcharge
+    uint256 public constant STALE_PRICE_THRESHOLD = 3600; // 1 hour
+    uint256 public constant MIN_TRIGGER_OBSERVATIONS = 3;  // Distinct rounds >= triggerPrice to finalize
+    uint256 public constant VOTE_DURATION = 7 days;
+    uint256 public constant VOTE_EXECUTION_WINDOW = 3 days; // a passed proposal must be executed within this after voting closes
+    uint256 public constant VOTE_QUORUM_BPS = 2000;        // 20% of tickets at snapshot must vote
+    uint256 public constant VOTE_SUPERMAJORITY_BPS = 6667; // 2/3 of votes cast must be in favor
+    uint256 public constant AUCTION_EXTENSION = 10 minutes; // Late bids push the end out to this
+    uint256 public constant MIN_BID_INCREMENT_BPS = 500;   // 5% over the leading bid
+
+    bytes32 public constant SELL_ORDER_TYPEHASH = keccak256(
+        "SellOrder(address seller,uint256 tokenId,uint256 price,uint256 expiresAt,uint256 nonce,address taker)"
+    );
+
+    uint256 public constant MAX_BENEFICIARIES = 10;
+    uint256 public constant TIER_COUNT = 4;  // 0=Common, 1=Standard, 2=Rare, 3=Legendary
+
+    // ═══════════════════════════════════════════
+    //  State
+    // ═══════════════════════════════════════════
+
+    // Per-series parameters, fixed in PoolManager's constructor.
+    // Kept in storage rather than immutables so that one pair of
+    // extensions can serve every series.
+    struct PoolConfig {
+        uint256 maxSupply;
+        uint256 surchargeBps;      // Inner Models: 666 (6.66%)
+        uint256 creatorFeeBps;     // Inner Models: 600 (6% of surplus)
+        uint256 triggerPrice;      // Chainlink 8 decimals; Inner Models: 10_000e8
+        uint256 triggerCooldown;   // Inner Models: 15 minutes
+        uint256 deadlineDuration;  // Inner Models: 1095 days (36 months)
+    }
+    PoolConfig public config;
+
+    InnerModelsNFT public nft;
+    AggregatorV3Interface public priceFeed;
+    AggregatorV3Interface public sequencerUptimeFeed;
+    address public creator;
+    uint256 public deployedAt;
+
+    uint256 public totalMinted;
+
+    // Mint phases: allowlisted presale, then public. Unset = public from the start.
+    bytes32 public presaleMerkleRoot;  // Leaves: (address, cap)
+    uint256 public presaleStart;
+    uint256 public publicStart;
+    mapping(address => uint256) public presaleMinted;
+
+    // Mint price schedule: each token has a tier, each tier a price.
+    // Prices may change until the first mint (see setTierPrices).
+    uint256[TIER_COUNT] internal _tierPrices;
+    mapping(uint256 => uint8) internal _tierOf;
+
+    // Two pools
+    uint256 public guaranteePool;
+    uint256 public surplusPool;
+    Checkpoints.Trace208 internal _guaranteePoolCheckpoints;  // By block number
+    Checkpoints.Trace208 internal _surplusPoolCheckpoints;
+
+    // Per-token tracking
+    mapping(uint256 => uint256) public costBasis;
+
+    // Provenance: every sale of a token, starting with its mint (surcharge 0).
+    // Two slots per entry.
+    struct Sale {
+        address buyer;
+        uint64 timestamp;
+        uint96 price;
+        uint96 surcharge;
+    }
+    mapping(uint256 => Sale[]) internal _provenance;
+
+    // Per-owner index, kept in sync on every mint and sale
+    mapping(address => EnumerableSet.UintSet) internal _ownedTokens;
+    mapping(address => uint256) public costBasisOf;
+
+    // Smart Tickets
+    mapping(address => uint256) public tickets;
+    mapping(address => Checkpoints.Trace208) internal _ticketCheckpoints;  // By block number
+    Checkpoints.Trace208 internal _totalTicketCheckpoints;
+    uint256 public totalTickets;
+    uint256 public totalParticipants;
+    EnumerableSet.AddressSet internal _participants;  // Holders of tickets; length == totalParticipants
+
+    // Marketplace listings
+    struct Listing {
+        uint256 price;          // Fixed price, or the end (floor) price of a Dutch auction
+        bool active;
+        uint256 expiresAt;      // 0 = never expires
+        address reservedFor;    // address(0) = open to any buyer
+        uint256 startPrice;     // Dutch auction start price (0 = fixed-price listing)
+        uint256 startTime;
+        uint256 duration;
+    }
+    mapping(uint256 => Listing) public listings;
+    EnumerableSet.UintSet internal _activeListings;  // Token ids whose listing is active
+
+    // Escrowed offers: tokenId => offerId => Offer
+    struct Offer {
+        address buyer;
+        uint256 price;       // Offered sale price (surcharge escrowed on top)
+        uint256 expiresAt;
+        bool active;
+    }
+    mapping(uint256 => mapping(uint256 => Offer)) public offers;
+    mapping(uint256 => uint256) public offerCount;
+    uint256 public totalOfferEscrow;
+
+    // English auctions: one per token at a time
+    struct Auction {
+        address seller;
+        uint256 reserve;
+        uint256 endTime;
+        address highestBidder;
+        uint256 highestBid;  // Sale price of the leading bid (surcharge escrowed on top)
+        bool active;
+    }
+    mapping(uint256 => Auction) public auctions;
+    EnumerableSet.UintSet internal _activeAuctions;
+    uint256 public totalAuctionEscrow;
+
+    // EIP-712 sell orders, signed off-chain and filled by the buyer
+    struct SellOrder {
+        address seller;
+        uint256 tokenId;
+        uint256 price;
+        uint256 expiresAt;   // 0 = no expiry
+        uint256 nonce;       // Must equal orderNonce[seller] when filled
+        address taker;       // address(0) = anyone may fill
+    }
+    mapping(address => uint256) public orderNonce;
+    mapping(bytes32 => bool) public orderInvalidated;  // Filled or cancelled
+
+    // Trigger state
+    enum TriggerState { Inactive, Initiated, Finalized }
+    TriggerState public triggerState;
+    uint256 public triggerTimestamp;
+
+    // Oracle observations of the current trigger attempt (one per round)
+    struct Observation {
+        uint80 roundId;
+        uint256 price;
+        uint256 timestamp;
+    }
+    Observation[] internal _triggerObservations;
+    uint256 public triggerObservationsAbove;  // Observations >= config.triggerPrice
+
+    // Early trigger by holder vote (weight = tickets at snapshotBlock)
+    struct Proposal {
+        address proposer;
+        uint256 snapshotBlock;
+        uint256 endTime;
+        uint256 forVotes;
+        uint256 againstVotes;
+        bool executed;
+    }
+    mapping(uint256 => Proposal) public proposals;
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+    uint256 public proposalCount;
+    bool public voteTriggered;  // Current trigger was started by a passed vote
+
+    // Split of the creator share (empty = everything to creator)
+    struct Beneficiary {
+        address account;   // Payout address, rotatable by itself before the trigger
+        uint256 shareBps;  // Fixed once set; all shares sum to BPS
+    }
+    Beneficiary[] internal _beneficiaries;
+    mapping(address => uint256) internal _beneficiaryIndex;  // index + 1; 0 = not a beneficiary
+
+    // Distribution after trigger
+    mapping(address => bool) public bonusClaimed;
+    mapping(uint256 => bool) public costBasisClaimed;
+    bool public creatorClaimed;
+    uint256 public bonusesDistributed;
+    uint256 public costBasesDistributed;
+
+    // Fallback for failed transfers
+    mapping(address => uint256) public pendingWithdrawals;
+    uint256 public totalPendingWithdrawals;
+
+    // Wallet migration: old address => proposed new address
+    mapping(address => address) public pendingMigration;
+
+    // ═══════════════════════════════════════════
+    //  Events
+    // ═══════════════════════════════════════════
+
+    event Minted(address indexed buyer, uint256 indexed tokenId, uint256 price, uint256 ticketsEarned);
+    event TierPricesSet(uint256[TIER_COUNT] prices);
+    event MintedFor(address indexed payer, address indexed recipient, uint256 indexed tokenId);
+    event PresaleRootSet(bytes32 root);
+    event MintPhasesSet(uint256 presaleStart, uint256 publicStart);
+    event Listed(uint256 indexed tokenId, uint256 price, uint256 expiresAt, address reservedFor);
+    event DutchListed(uint256 indexed tokenId, uint256 startPrice, uint256 endPrice, uint256 startTime, uint256 duration);
+    event PriceUpdated(uint256 indexed tokenId, uint256 oldPrice, uint256 newPrice);
+    event Delisted(uint256 indexed tokenId);
+    event Sold(
+        uint256 indexed tokenId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 salePrice,
+        uint256 surcharge,
+        uint256 sellerPayout,
+        uint256 ticketsEarned
+    );
+    event OfferMade(uint256 indexed tokenId, uint256 indexed offerId, address indexed buyer, uint256 price, uint256 expiresAt);
+    event OfferCancelled(uint256 indexed tokenId, uint256 indexed offerId, address indexed buyer, uint256 refund);
+    event OfferAccepted(uint256 indexed tokenId, uint256 indexed offerId, address indexed seller, address buyer, uint256 price);
+    event AuctionCreated(uint256 indexed tokenId, address indexed seller, uint256 reserve, uint256 endTime);
+    event BidPlaced(uint256 indexed tokenId, address indexed bidder, uint256 price, uint256 endTime);
+    event AuctionExtended(uint256 indexed tokenId, uint256 endTime);
+    event AuctionSettled(uint256 indexed tokenId, address indexed seller, address indexed winner, uint256 price);
+    event AuctionCancelled(uint256 indexed tokenId);
+    event OrderFilled(bytes32 indexed orderHash, uint256 indexed tokenId, address indexed seller, address buyer, uint256 price);
+    event OrderCancelled(bytes32 indexed orderHash, address indexed seller);
+    event NonceIncremented(address indexed seller, uint256 newNonce);
+    event TriggerInitiated(uint256 ethPrice, uint256 timestamp);
+    event ProposalCreated(uint256 indexed proposalId, address indexed proposer, uint256 snapshotBlock, uint256 endTime);
+    event VoteCast(uint256 indexed proposalId, address indexed voter, bool support, uint256 weight);
+    event ProposalExecuted(uint256 indexed proposalId, uint256 forVotes, uint256 againstVotes);
+    event TriggerObserved(uint80 indexed roundId, uint256 ethPrice, uint256 observationsAbove);
+    event TriggerFinalized(uint256 ethPrice, uint256 guaranteePool, uint256 surplusPool);
+    event TriggerCancelled(uint256 ethPrice, uint256 timestamp);
+    event Distributed(address indexed participant, uint256 bonus, uint256 costBasisTotal);
+    event BatchDistributed(uint256 distributed, uint256 skipped, uint256 remaining);
+    event CreatorDistributed(address indexed creator, uint256 amount);  // Total creator share, even when split among beneficiaries
+    event BeneficiariesSet(address[] accounts, uint256[] sharesBps);
+    event BeneficiaryRotated(uint256 indexed index, address indexed oldAccount, address indexed newAccount);
+    event PendingWithdrawal(address indexed participant, uint256 amount);
+    event Withdrawn(address indexed participant, uint256 amount);
+    event MigrationProposed(address indexed from, address indexed to);
+    event AccountMigrated(address indexed from, address indexed to, uint256 tokens, uint256 tickets, uint256 pending);
+
+    // ═══════════════════════════════════════════
+    //  Errors
+    // ═══════════════════════════════════════════
+    // Shared by PoolManager and its extensions, so a revert from any of
+    // them decodes against any of their ABIs. Amounts are in wei, prices
+    // in 8 decimals, times in seconds.
+
+    // Setup
+    error InvalidConfig(uint256 field, uint256 value);  // field: 0=maxSupply, 1=surchargeBps, 2=creatorFeeBps, 3=triggerPrice, 4=triggerCooldown, 5=deadlineDuration
+    error SupplyMismatch(uint256 nftSupply, uint256 poolSupply);
+    error WrongTierAssignmentCount(uint256 count, uint256 expected);
+    error InvalidTierAssignment(uint256 tokenId, uint256 tier);
+    error InvalidTierPrice(uint256 tier);
+    error InvalidExtension();
+    error DirectPayment();
+
+    // Minting
+    error PublicMintNotOpen(uint256 publicStart);
+    error PresaleNotActive();
+    error NotAllowlisted(address account);
+    error PresaleCapReached(address account, uint256 cap);
+    error PublicPhaseStarted();
+    error InvalidPhaseTimes(uint256 presaleStart, uint256 publicStart);
+    error MintingStarted();
+    error SoldOut(uint256 maxSupply);
+    error InvalidTokenId(uint256 tokenId);
+    error TokenAlreadyMinted(uint256 tokenId);
+    error TokenNotMinted(uint256 tokenId);
+    error WrongMintPrice(uint256 expected, uint256 paid);
+    error EmptyBatch();
+    error LengthMismatch(uint256 a, uint256 b);
+    error InvalidRecipient(address recipient);
+
+    // Marketplace
+    error TriggerActive();
+    error NotTokenOwner(uint256 tokenId, address owner);
+    error CannotBuyOwnToken(uint256 tokenId);
+    error ZeroPrice();
+    error PriceBelowCostBasis(uint256 price, uint256 costBasis);
+    error InvalidExpiry(uint256 expiresAt);
+    error InvalidDuration();
+    error InvalidDutchPrices(uint256 startPrice, uint256 endPrice);
+    error NotListed(uint256 tokenId);
+    error ListingExpired(uint256 tokenId, uint256 expiresAt);
+    error DutchAuctionListing(uint256 tokenId);
+    error ReservedForAnotherBuyer(address reservedFor);
+    error WrongPayment(uint256 expected, uint256 paid);
+    error InsufficientPayment(uint256 required, uint256 paid);
+    error MaxTotalExceeded(uint256 total, uint256 maxTotal);
+    error OfferNotActive(uint256 tokenId, uint256 offerId);
+    error NotOfferMaker(uint256 tokenId, uint256 offerId);
+    error OfferExpired(uint256 tokenId, uint256 offerId, uint256 expiresAt);
+    error AuctionActive(uint256 tokenId);
+    error NoActiveAuction(uint256 tokenId);
+    error AuctionEnded(uint256 tokenId, uint256 endTime);
+    error AuctionNotEnded(uint256 tokenId, uint256 endTime);
+    error AuctionHasBids(uint256 tokenId);
+    error NotAuctionSeller(uint256 tokenId, address seller);
+    error BidBelowReserve(uint256 price, uint256 reserve);
+    error BidIncrementTooLow(uint256 price, uint256 minBid);
+    error InvalidSignature();
+    error OrderCancelledOrFilled(bytes32 orderHash);
+    error OrderExpired(bytes32 orderHash, uint256 expiresAt);
+    error SellerNotOwner(uint256 tokenId, address seller);
+    error NotOrderSigner(address seller);
+    error MigrationNotProposed(address from);
+
+    // Oracle
+    error InvalidOraclePrice(int256 answer);
+    error IncompleteRound(uint80 roundId, uint80 answeredInRound);
+    error StalePrice(uint256 age, uint256 maxAge);
+    error SequencerDown();
+    error SequencerGracePeriod(uint256 elapsed, uint256 gracePeriod);
+    error FuturePriceTimestamp(uint256 updatedAt, uint256 blockTimestamp);
+    error FutureSequencerTimestamp(uint256 startedAt, uint256 blockTimestamp);
+
+    // Trigger
+    error TriggerAlreadyInitiated();
+    error TriggerNotInitiated();
+    error PriceBelowTrigger(uint256 price, uint256 triggerPrice);
+    error PriceAboveTrigger(uint256 price, uint256 triggerPrice);
+    error CooldownNotOver(uint256 cooldownEnd);
+    error CooldownPassed(uint256 cooldownEnd);
+    error NotEnoughObservations(uint256 observed, uint256 required);
+    error RoundAlreadyObserved(uint80 roundId);
+    error DeadlineTrigger();
+    error VoteTrigger();
+
+    // Vote
+    error ProposalActive(uint256 proposalId, uint256 endTime);
+    error UnknownProposal(uint256 proposalId);
+    error ProposalSuperseded(uint256 proposalId, uint256 latestProposalId);
+    error VotingClosed(uint256 proposalId, uint256 endTime);
+    error VotingNotClosed(uint256 proposalId, uint256 endTime);
+    error AlreadyVoted(uint256 proposalId, address voter);
+    error NoVotingPower(address account, uint256 snapshotBlock);
+    error ProposalAlreadyExecuted(uint256 proposalId);
+    error ProposalAwaitingExecution(uint256 proposalId, uint256 executeBy);
+    error ExecutionWindowClosed(uint256 proposalId, uint256 executeBy);
+    error ProposalNotPassed(uint256 proposalId, uint256 forVotes, uint256 againstVotes, uint256 quorum);
+
+    // Distribution and payouts
+    error NotFinalized();
+    error NothingToDistribute(address participant);  // Neither tickets nor tokens
+    error AlreadyDistributed(address participant);
+    error CreatorAlreadyDistributed();
+    error CreatorNotDistributed();
+    error BonusesPending(uint256 distributed, uint256 participants);
+    error CostBasesPending(uint256 distributed, uint256 minted);
+    error PendingWithdrawalsExist(uint256 total);
+    error NothingToWithdraw();
+    error TransferFailed(address to, uint256 amount);
+    error BeneficiariesAlreadySet();
+    error InvalidBeneficiaryCount(uint256 count);
+    error InvalidBeneficiary(address account);
+    error InvalidShare(uint256 index);
+    error SharesNotFull(uint256 totalBps);
+    error NotBeneficiary(address account);
+
+    // Views
+    error FutureLookup(uint256 blockNumber, uint256 currentBlock);
+
+    // ═══════════════════════════════════════════
+    //  Constructor
+    // ═══════════════════════════════════════════
+
+    // Ownable is initialized by each derived contract: PoolManager
+    // passes the creator, extensions their deployer (unused storage).
+    constructor() EIP712("Inner Models", "1") {}
+
+    // ═══════════════════════════════════════════
+    //  Internal
+    // ═══════════════════════════════════════════
+
+    event TicketsAwarded(address indexed participant, uint256 amount, uint256 newTotal);
+
+    function _addTickets(address participant, uint256 amount) internal {
+        if (tickets[participant] == 0) {
+            totalParticipants++;
+            _participants.add(participant);
+        }
+        tickets[participant] += amount;
+        totalTickets += amount;
+        _checkpointTickets(participant);
+        _totalTicketCheckpoints.push(SafeCast.toUint48(block.number), SafeCast.toUint208(totalTickets));
+        emit TicketsAwarded(participant, amount, tickets[participant]);
+    }
+
+    /// @dev Must follow every change to tickets[account].
+    function _checkpointTickets(address account) internal {
+        _ticketCheckpoints[account].push(SafeCast.toUint48(block.number), SafeCast.toUint208(tickets[account]));
+    }
+
+    function _ticketsAt(address account, uint256 blockNumber) internal view returns (uint256) {
+        return _ticketCheckpoints[account].upperLookupRecent(SafeCast.toUint48(blockNumber));
+    }
+
+    function _totalTicketsAt(uint256 blockNumber) internal view returns (uint256) {
+        return _totalTicketCheckpoints.upperLookupRecent(SafeCast.toUint48(blockNumber));
+    }
+
+    /// @dev Must follow every change to guaranteePool or surplusPool.
+    function _checkpointPools() internal {
+        uint48 blockNumber = SafeCast.toUint48(block.number);
+        _guaranteePoolCheckpoints.push(blockNumber, SafeCast.toUint208(guaranteePool));
+        _surplusPoolCheckpoints.push(blockNumber, SafeCast.toUint208(surplusPool));
+    }
+
+    function _mintPrice(uint256 tokenId) internal view returns (uint256) {
+        return _tierPrices[_tierOf[tokenId]];
+    }
+
+    function _setTierPrices(uint256[TIER_COUNT] memory prices) internal {
+        for (uint256 i = 0; i < TIER_COUNT; i++) {
+            if (prices[i] == 0) revert InvalidTierPrice(i);
+        }
+        _tierPrices = prices;
+        emit TierPricesSet(prices);
+    }
+
+    function _list(uint256 tokenId, uint256 price, uint256 expiresAt, address reservedFor) internal {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        address holder = nft.ownerOf(tokenId);
+        if (holder != msg.sender) revert NotTokenOwner(tokenId, holder);
+        if (auctions[tokenId].active) revert AuctionActive(tokenId);
+        if (price < costBasis[tokenId]) revert PriceBelowCostBasis(price, costBasis[tokenId]);
+        if (price == 0) revert ZeroPrice();
+
+        listings[tokenId] = Listing(price, true, expiresAt, reservedFor, 0, 0, 0);
+        _activeListings.add(tokenId);
+
+        emit Listed(tokenId, price, expiresAt, reservedFor);
+    }
+
+    /// @dev Deactivate a listing and drop it from _activeListings.
+    function _closeListing(uint256 tokenId) internal {
+        listings[tokenId].active = false;
+        _activeListings.remove(tokenId);
+    }
+
+    function _currentPrice(Listing memory listing) internal view returns (uint256) {
+        if (listing.startPrice == 0) return listing.price;
+
+        uint256 elapsed = block.timestamp - listing.startTime;
+        if (elapsed >= listing.duration) return listing.price;
+
+        uint256 decay = ((listing.startPrice - listing.price) * elapsed) / listing.duration;
+        return listing.startPrice - decay;
+    }
+
+    function _notExpired(uint256 expiresAt) internal view returns (bool) {
+        return expiresAt == 0 || block.timestamp < expiresAt;
+    }
+
+    function _isBuyable(Listing memory listing, address buyer) internal view returns (bool) {
+        return listing.active
+            && _notExpired(listing.expiresAt)
+            && (listing.reservedFor == address(0) || listing.reservedFor == buyer);
+    }
+
+    function _requireBuyable(uint256 tokenId, Listing memory listing, address buyer) internal view {
+        if (!listing.active) revert NotListed(tokenId);
+        if (!_notExpired(listing.expiresAt)) revert ListingExpired(tokenId, listing.expiresAt);
+        if (listing.reservedFor != address(0) && listing.reservedFor != buyer) {
+            revert ReservedForAnotherBuyer(listing.reservedFor);
+        }
+    }
+
+    function _mintToken(address to, uint256 tokenId, uint256 price) internal {
+        if (totalMinted >= config.maxSupply) revert SoldOut(config.maxSupply);
+        if (tokenId >= config.maxSupply) revert InvalidTokenId(tokenId);
+        if (costBasis[tokenId] != 0) revert TokenAlreadyMinted(tokenId);
+        uint256 expected = _mintPrice(tokenId);
+        if (price != expected) revert WrongMintPrice(expected, price);
+
+        totalMinted++;
+        costBasis[tokenId] = price;
+        guaranteePool += price;
+        _checkpointPools();
+        _ownedTokens[to].add(tokenId);
+        costBasisOf[to] += price;
+        _recordSale(tokenId, to, price, 0);
+
+        // Award tickets to minter (notional surcharge)
+        uint256 notionalSurcharge = (price * config.surchargeBps) / BPS;
+        uint256 newTickets = notionalSurcharge / TICKET_PRICE;
+        if (newTickets > 0) {
+            _addTickets(to, newTickets);
+        }
+
+        nft.mint(to, tokenId);
+
+        emit Minted(to, tokenId, price, newTickets);
+    }
+
+    function _executeSale(
+        uint256 tokenId,
+        address seller,
+        address buyer,
+        uint256 salePrice,
+        uint256 surcharge
+    ) internal {
+        uint256 sellerCostBasis = costBasis[tokenId];
+
+        // --- Effects ---
+        _closeListing(tokenId);
+        costBasis[tokenId] = salePrice;
+        guaranteePool = guaranteePool - sellerCostBasis + salePrice;
+        surplusPool += surcharge;
+        _checkpointPools();
+        _ownedTokens[seller].remove(tokenId);
+        _ownedTokens[buyer].add(tokenId);
+        costBasisOf[seller] -= sellerCostBasis;
+        costBasisOf[buyer] += salePrice;
+        _recordSale(tokenId, buyer, salePrice, surcharge);
+
+        // Award tickets to buyer
+        uint256 newTickets = surcharge / TICKET_PRICE;
+        if (newTickets > 0) {
+            _addTickets(buyer, newTickets);
+        }
+
+        // --- Interactions ---
+        // Transfer NFT from seller to buyer
+        nft.transferFrom(seller, buyer, tokenId);
+
+        // Pay seller their cost basis (pull pattern on failure)
+        (bool success,) = payable(seller).call{value: sellerCostBasis}("");
+        if (!success) {
+            _creditPending(seller, sellerCostBasis);
+        }
+
+        emit Sold(tokenId, seller, buyer, salePrice, surcharge, sellerCostBasis, newTickets);
+    }
+
+    function _recordSale(uint256 tokenId, address buyer, uint256 price, uint256 surcharge) internal {
+        _provenance[tokenId].push(Sale(
+            buyer,
+            SafeCast.toUint64(block.timestamp),
+            SafeCast.toUint96(price),
+            SafeCast.toUint96(surcharge)
+        ));
+    }
+
+    /// @dev Pays the ticket bonus (ticket holders only) and the cost basis
+    ///      of every held token. A holder whose purchases were too small to
+    ///      earn a ticket still gets its cost basis back.
+    function _distribute(address participant) internal {
+        uint256 bonus = 0;
+        if (tickets[participant] > 0) {
+            bonusClaimed[participant] = true;
+            bonusesDistributed++;
+
+            // Calculate ticket bonus: participant's share of 94% of surplus
+            uint256 surplusForParticipants = (surplusPool * (BPS - config.creatorFeeBps)) / BPS;
+            bonus = (surplusForParticipants * tickets[participant]) / totalTickets;
+        }
+
+        // Also distribute cost basis for any tokens this address holds
+        uint256 costBasisTotal = 0;
+        EnumerableSet.UintSet storage owned = _ownedTokens[participant];
+        for (uint256 i = 0; i < owned.length(); i++) {
+            uint256 tokenId = owned.at(i);
+            if (!costBasisClaimed[tokenId]) {
+                costBasisClaimed[tokenId] = true;
+                costBasesDistributed++;
+                costBasisTotal += costBasis[tokenId];
+            }
+        }
+
+        uint256 totalPayout = bonus + costBasisTotal;
+
+        if (totalPayout > 0) {
+            (bool success,) = payable(participant).call{value: totalPayout}("");
+            if (!success) {
+                _creditPending(participant, totalPayout);
+            }
+        }
+
+        emit Distributed(participant, bonus, costBasisTotal);
+    }
+
+    /// @dev Whether distribution still owes `participant` a bonus or a cost
+    ///      basis. A holder's tokens are all paid together, so checking the
+    ///      first one is enough.
+    function _isOwed(address participant) internal view returns (bool) {
+        if (tickets[participant] > 0) return !bonusClaimed[participant];
+        EnumerableSet.UintSet storage owned = _ownedTokens[participant];
+        return owned.length() > 0 && !costBasisClaimed[owned.at(0)];
+    }
+
+    function _hashOrder(SellOrder calldata order) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            SELL_ORDER_TYPEHASH,
+            order.seller,
+            order.tokenId,
+            order.price,
+            order.expiresAt,
+            order.nonce,
+            order.taker
+        )));
+    }
+
+    function _isNewRound(uint80 roundId) internal view returns (bool) {
+        uint256 count = _triggerObservations.length;
+        return count == 0 || _triggerObservations[count - 1].roundId != roundId;
+    }
+
+    function _creditPending(address account, uint256 amount) internal {
+        pendingWithdrawals[account] += amount;
+        totalPendingWithdrawals += amount;
+        emit PendingWithdrawal(account, amount);
+    }
+
+    /// @dev Credits amount to the beneficiaries by share. The last one also
+    ///      receives the rounding remainder, so the full amount is credited.
+    function _creditBeneficiaries(uint256 amount) internal {
+        uint256 count = _beneficiaries.length;
+        uint256 credited = 0;
+        for (uint256 i = 0; i < count; i++) {
+            Beneficiary memory beneficiary = _beneficiaries[i];
+            uint256 share = i == count - 1
+                ? amount - credited
+                : (amount * beneficiary.shareBps) / BPS;
+            credited += share;
+            if (share > 0) {
+                _creditPending(beneficiary.account, share);
+            }
+        }
+    }
+
+    /// @dev Common start of every trigger path (price, deadline, vote):
+    ///      enters the cooldown with a fresh observation history.
+    function _beginTrigger() internal {
+        _cancelAuctions();
+        delete _triggerObservations;
+        triggerObservationsAbove = 0;
+        triggerState = TriggerState.Initiated;
+        triggerTimestamp = block.timestamp;
+    }
+
+    /// @dev Cancels every open auction and moves the leading bids into
+    ///      pendingWithdrawals. Called when the trigger is initiated.
+    function _cancelAuctions() internal {
+        while (_activeAuctions.length() > 0) {
+            uint256 tokenId = _activeAuctions.at(_activeAuctions.length() - 1);
+            _activeAuctions.remove(tokenId);
+
+            Auction storage auction = auctions[tokenId];
+            auction.active = false;
+            if (auction.highestBidder != address(0)) {
+                uint256 refund = auction.highestBid + (auction.highestBid * config.surchargeBps) / BPS;
+                totalAuctionEscrow -= refund;
+                _creditPending(auction.highestBidder, refund);
+            }
+
+            emit AuctionCancelled(tokenId);
+        }
+    }
+
+    /// @dev ETH/USD price shared by all trigger functions. Rejects a down
+    ///      sequencer, non-positive answers, incomplete rounds, and data that
+    ///      is stale or dated after the current block.
+    function _getPrice() internal view returns (uint256, uint80) {
+        _checkSequencer();
+        (uint80 roundId, int256 price,, uint256 updatedAt, uint80 answeredInRound) = priceFeed.latestRoundData();
+        if (price <= 0) revert InvalidOraclePrice(price);
+        if (updatedAt == 0 || answeredInRound < roundId) revert IncompleteRound(roundId, answeredInRound);
+        if (updatedAt > block.timestamp) revert FuturePriceTimestamp(updatedAt, block.timestamp);
+        uint256 age = block.timestamp - updatedAt;
+        if (age > STALE_PRICE_THRESHOLD) revert StalePrice(age, STALE_PRICE_THRESHOLD);
+        return (uint256(price), roundId);
+    }
+
+    /// @dev Records a trigger observation. Returns false if the round was
+    ///      already observed in this attempt.
+    function _observe(uint256 price, uint80 roundId) internal returns (bool) {
+        if (!_isNewRound(roundId)) return false;
+
+        _triggerObservations.push(Observation(roundId, price, block.timestamp));
+        if (price >= config.triggerPrice) {
+            triggerObservationsAbove++;
+        }
+        emit TriggerObserved(roundId, price, triggerObservationsAbove);
+        return true;
+    }
+
+    function _checkSequencer() internal view {
+        if (address(sequencerUptimeFeed) == address(0)) return;
+
+        (, int256 answer, uint256 startedAt,,) = sequencerUptimeFeed.latestRoundData();
+        if (answer != 0) revert SequencerDown();
+        if (startedAt > block.timestamp) revert FutureSequencerTimestamp(startedAt, block.timestamp);
+        uint256 elapsed = block.timestamp - startedAt;
+        if (elapsed <= config.triggerCooldown) revert SequencerGracePeriod(elapsed, config.triggerCooldown);
+    }
+}
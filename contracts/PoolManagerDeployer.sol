@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./PoolManager.sol";
+
+/**
+ * @title PoolManagerDeployer
+ * @notice Holds PoolManager's creation code on behalf of InnerModelsFactory.
+ *
+ * PoolManager's creation code alone is close to the EIP-170 limit, so it
+ * cannot be embedded in the factory next to the NFT's. The factory
+ * creates this contract in its constructor and is its only caller.
+ * Constructor arguments arrive already ABI-encoded, which keeps the
+ * encoding code in the factory rather than here.
+ */
+contract PoolManagerDeployer {
+    address public immutable factory;
+
+    error OnlyFactory(address caller);
+
+    constructor() {
+        factory = msg.sender;
+    }
+
+    /// @notice Deploy a PoolManager from its ABI-encoded constructor arguments.
+    function deploy(bytes calldata constructorArgs) external returns (address pool) {
+        if (msg.sender != factory) revert OnlyFactory(msg.sender);
+        bytes memory initCode = bytes.concat(type(PoolManager).creationCode, constructorArgs);
+        assembly {
+            pool := create(0, add(initCode, 0x20), mload(initCode))
+            // Bubble up the constructor's revert reason
+            if iszero(pool) {
+                returndatacopy(0, 0, returndatasize())
+                revert(0, returndatasize())
+            }
+        }
+    }
+}
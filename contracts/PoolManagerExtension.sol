@@ -0,0 +1,557 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./PoolManagerBase.sol";
+
+/**
+ * @title PoolManagerExtension
+ * @notice Secondary entry points of the PoolManager.
+ *
+ * Never used directly: deployed once and shared by the PoolManager of
+ * every series, which delegates every call it does not implement
+ * itself, so these functions run against that PoolManager's storage
+ * and balance and are called on its address. Declares no state of its
+ * own (see PoolManagerBase).
+ *
+ * Calls it does not implement either are passed on, still by
+ * delegatecall, to PoolManagerTriggerExtension.
+ *
+ * Gifts:
+ *   - The owner can mint pieces directly to recipients (e.g. the model
+ *     providers), paying the full mint price so the pool stays funded
+ *
+ * Presale:
+ *   - Allowlisted addresses (Merkle tree of address + cap) may mint
+ *     between presaleStart and publicStart, up to their cap
+ *   - Root and phase times are owner-set, and only before the public
+ *     phase starts; mint() is closed until publicStart
+ *
+ * Mint price schedule:
+ *   - Each token keeps its tier; the owner can reprice the tiers until
+ *     the first mint
+ *
+ * Offers:
+ *   - Anyone can make an offer on a minted token, listed or not, by
+ *     escrowing price + surcharge until an expiry
+ *   - The current owner can accept it under the same rules as buy()
+ *   - Escrowed ETH is tracked in totalOfferEscrow, outside both pools,
+ *     and can always be reclaimed with cancelOffer(), or cancelOfferTo()
+ *     by a maker that cannot receive ETH itself
+ *
+ * Auctions:
+ *   - One English auction per token; the reserve must cover cost basis
+ *   - Bidders escrow price + surcharge; each bid must beat the
+ *     leading bid by MIN_BID_INCREMENT_BPS
+ *   - Outbid bidders are refunded through pendingWithdrawals
+ *   - A bid within AUCTION_EXTENSION of the end pushes the end out
+ *   - Anyone can settle after the end; settlement is identical to buy()
+ *
+ * Wallet migration:
+ *   - The old address proposes a new one, the new address accepts
+ *   - Tokens move with their cost basis unchanged, together with the
+ *     tickets and pendingWithdrawals; nothing is charged or minted
+ *
+ * Creator beneficiaries:
+ *   - Paid out by PoolManager's distributeCreator() and sweepDust()
+ *   - The owner may split the creator share among up to
+ *     MAX_BENEFICIARIES addresses with fixed shares; each share is
+ *     credited to pendingWithdrawals and claimed independently
+ *   - Each beneficiary can rotate its own address until the trigger
+ *
+ * Signed orders:
+ *   - Sellers sign an EIP-712 SellOrder off-chain instead of calling list()
+ *   - Buyers fill it with fillOrder(); same floor and settlement as buy()
+ *   - cancelOrders() voids specific orders, incrementNonce() voids all
+ */
+contract PoolManagerExtension is PoolManagerBase, Proxy {
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // ═══════════════════════════════════════════
+    //  State
+    // ═══════════════════════════════════════════
+
+    address public immutable triggerExtension;
+
+    // ═══════════════════════════════════════════
+    //  Constructor
+    // ═══════════════════════════════════════════
+
+    constructor(address _triggerExtension) Ownable(msg.sender) {
+        if (_triggerExtension == address(0)) revert InvalidExtension();
+        triggerExtension = _triggerExtension;
+    }
+
+    // ═══════════════════════════════════════════
+    //  Gifts
+    // ═══════════════════════════════════════════
+
+    /// @notice Mint pieces as gifts. msg.value must equal the sum of their
+    ///         mint prices, so every gifted token is fully backed. Recipients
+    ///         get the NFT, cost basis and tickets. Not bound to the mint phases.
+    function giftMintBatch(address[] calldata recipients, uint256[] calldata tokenIds)
+        external
+        payable
+        onlyOwner
+        nonReentrant
+    {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        if (tokenIds.length == 0) revert EmptyBatch();
+        if (recipients.length != tokenIds.length) revert LengthMismatch(recipients.length, tokenIds.length);
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (recipients[i] == address(0)) revert InvalidRecipient(recipients[i]);
+            uint256 price = _mintPrice(tokenIds[i]);
+            total += price;
+            _mintToken(recipients[i], tokenIds[i], price);
+            emit MintedFor(msg.sender, recipients[i], tokenIds[i]);
+        }
+        if (msg.value != total) revert WrongMintPrice(total, msg.value);
+    }
+
+    // ═══════════════════════════════════════════
+    //  Presale
+    // ═══════════════════════════════════════════
+
+    enum MintPhase { Closed, Presale, Public }
+
+    /// @notice Set the allowlist root. Leaves are
+    ///         keccak256(bytes.concat(keccak256(abi.encode(account, cap)))).
+    function setPresaleRoot(bytes32 root) external onlyOwner {
+        _requireBeforePublic();
+        presaleMerkleRoot = root;
+        emit PresaleRootSet(root);
+    }
+
+    /// @notice Schedule the presale and public phases.
+    function setMintPhases(uint256 _presaleStart, uint256 _publicStart) external onlyOwner {
+        _requireBeforePublic();
+        if (_presaleStart >= _publicStart || _publicStart <= block.timestamp) {
+            revert InvalidPhaseTimes(_presaleStart, _publicStart);
+        }
+        presaleStart = _presaleStart;
+        publicStart = _publicStart;
+        emit MintPhasesSet(_presaleStart, _publicStart);
+    }
+
+    /// @notice Mint during the presale. `cap` and `proof` come from the allowlist.
+    function presaleMint(uint256 tokenId, uint256 cap, bytes32[] calldata proof) external payable nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        if (_mintPhase() != MintPhase.Presale) revert PresaleNotActive();
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, cap))));
+        if (!MerkleProof.verifyCalldata(proof, presaleMerkleRoot, leaf)) revert NotAllowlisted(msg.sender);
+        if (presaleMinted[msg.sender] >= cap) revert PresaleCapReached(msg.sender, cap);
+
+        presaleMinted[msg.sender]++;
+        _mintToken(msg.sender, tokenId, msg.value);
+    }
+
+    /// @notice Phase schedule and the phase in effect right now.
+    function getMintPhases() external view returns (
+        uint256 _presaleStart,
+        uint256 _publicStart,
+        bytes32 _presaleMerkleRoot,
+        MintPhase currentPhase
+    ) {
+        return (presaleStart, publicStart, presaleMerkleRoot, _mintPhase());
+    }
+
+    function _mintPhase() internal view returns (MintPhase) {
+        if (block.timestamp >= publicStart) return MintPhase.Public;
+        if (block.timestamp >= presaleStart) return MintPhase.Presale;
+        return MintPhase.Closed;
+    }
+
+    /// @dev Without a schedule mint is public from deployment, so the
+    ///      schedule may still be set as long as nothing has been minted.
+    function _requireBeforePublic() internal view {
+        if (block.timestamp >= publicStart && totalMinted > 0) revert PublicPhaseStarted();
+    }
+
+    // ═══════════════════════════════════════════
+    //  Mint price schedule
+    // ═══════════════════════════════════════════
+
+    /// @notice Replace the price of every tier. Only before the first mint,
+    ///         so every cost basis in the pool was paid at the same schedule.
+    function setTierPrices(uint256[TIER_COUNT] calldata prices) external onlyOwner {
+        if (totalMinted > 0) revert MintingStarted();
+        _setTierPrices(prices);
+    }
+
+    /// @notice Prices of all tiers, indexed by tier.
+    function getTierPrices() external view returns (uint256[TIER_COUNT] memory) {
+        return _tierPrices;
+    }
+
+    /// @notice Tier of a token: 0=Common, 1=Standard, 2=Rare, 3=Legendary.
+    function getTierOf(uint256 tokenId) external view returns (uint8) {
+        if (tokenId >= config.maxSupply) revert InvalidTokenId(tokenId);
+        return _tierOf[tokenId];
+    }
+
+    // ═══════════════════════════════════════════
+    //  Marketplace: Offers
+    // ═══════════════════════════════════════════
+
+    /// @notice Make an offer on any minted token. You escrow: price + 6.66% surcharge.
+    ///         The offer can be accepted by whoever owns the token until expiresAt.
+    function makeOffer(uint256 tokenId, uint256 price, uint256 expiresAt) external payable nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        if (costBasis[tokenId] == 0) revert TokenNotMinted(tokenId);
+        if (price < costBasis[tokenId]) revert PriceBelowCostBasis(price, costBasis[tokenId]);
+        if (expiresAt <= block.timestamp) revert InvalidExpiry(expiresAt);
+        if (nft.ownerOf(tokenId) == msg.sender) revert CannotBuyOwnToken(tokenId);
+
+        uint256 surcharge = (price * config.surchargeBps) / BPS;
+        if (msg.value != price + surcharge) revert WrongPayment(price + surcharge, msg.value);
+
+        uint256 offerId = offerCount[tokenId]++;
+        offers[tokenId][offerId] = Offer(msg.sender, price, expiresAt, true);
+        totalOfferEscrow += msg.value;
+
+        emit OfferMade(tokenId, offerId, msg.sender, price, expiresAt);
+    }
+
+    /// @notice Cancel your offer and reclaim the escrow.
+    ///         Works at any time, including after expiry and after the trigger.
+    function cancelOffer(uint256 tokenId, uint256 offerId) external nonReentrant {
+        _cancelOffer(tokenId, offerId, msg.sender);
+    }
+
+    /// @notice Cancel your offer and send the escrow to another address,
+    ///         for makers that cannot receive ETH themselves.
+    function cancelOfferTo(uint256 tokenId, uint256 offerId, address recipient) external nonReentrant {
+        if (recipient == address(0)) revert InvalidRecipient(recipient);
+        _cancelOffer(tokenId, offerId, recipient);
+    }
+
+    function _cancelOffer(uint256 tokenId, uint256 offerId, address recipient) internal {
+        Offer storage offer = offers[tokenId][offerId];
+        if (!offer.active) revert OfferNotActive(tokenId, offerId);
+        if (offer.buyer != msg.sender) revert NotOfferMaker(tokenId, offerId);
+
+        offer.active = false;
+        uint256 refund = offer.price + (offer.price * config.surchargeBps) / BPS;
+        totalOfferEscrow -= refund;
+
+        (bool success,) = payable(recipient).call{value: refund}("");
+        if (!success) revert TransferFailed(recipient, refund);
+
+        emit OfferCancelled(tokenId, offerId, msg.sender, refund);
+    }
+
+    /// @notice Accept an offer on a token you own. Settles exactly like buy():
+    ///         you receive your cost basis, the offer price goes to the guarantee pool,
+    ///         the surcharge goes to the surplus pool and the buyer earns tickets.
+    function acceptOffer(uint256 tokenId, uint256 offerId) external nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        address holder = nft.ownerOf(tokenId);
+        if (holder != msg.sender) revert NotTokenOwner(tokenId, holder);
+
+        if (auctions[tokenId].active) revert AuctionActive(tokenId);
+
+        Offer storage offer = offers[tokenId][offerId];
+        if (!offer.active) revert OfferNotActive(tokenId, offerId);
+        if (block.timestamp >= offer.expiresAt) revert OfferExpired(tokenId, offerId, offer.expiresAt);
+        if (offer.buyer == msg.sender) revert CannotBuyOwnToken(tokenId);
+
+        uint256 salePrice = offer.price;
+        if (salePrice < costBasis[tokenId]) revert PriceBelowCostBasis(salePrice, costBasis[tokenId]);
+        uint256 surcharge = (salePrice * config.surchargeBps) / BPS;
+        address buyer = offer.buyer;
+
+        offer.active = false;
+        totalOfferEscrow -= salePrice + surcharge;
+
+        emit OfferAccepted(tokenId, offerId, msg.sender, buyer, salePrice);
+
+        _executeSale(tokenId, msg.sender, buyer, salePrice, surcharge);
+    }
+
+    // ═══════════════════════════════════════════
+    //  Marketplace: Auctions
+    // ═══════════════════════════════════════════
+
+    /// @notice Start an English auction. Replaces any fixed-price listing.
+    ///         The reserve must be at least the token's cost basis.
+    function createAuction(uint256 tokenId, uint256 reserve, uint256 duration) external {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        address holder = nft.ownerOf(tokenId);
+        if (holder != msg.sender) revert NotTokenOwner(tokenId, holder);
+        if (auctions[tokenId].active) revert AuctionActive(tokenId);
+        if (reserve < costBasis[tokenId]) revert PriceBelowCostBasis(reserve, costBasis[tokenId]);
+        if (reserve == 0) revert ZeroPrice();
+        if (duration == 0) revert InvalidDuration();
+
+        if (listings[tokenId].active) {
+            _closeListing(tokenId);
+            emit Delisted(tokenId);
+        }
+
+        uint256 endTime = block.timestamp + duration;
+        auctions[tokenId] = Auction(msg.sender, reserve, endTime, address(0), 0, true);
+        _activeAuctions.add(tokenId);
+
+        emit AuctionCreated(tokenId, msg.sender, reserve, endTime);
+    }
+
+    /// @notice Bid `price` on an auction. Send price + 6.66% surcharge.
+    ///         The first bid must meet the reserve; later bids must beat
+    ///         the leading bid by 5%. The previous leader is refunded
+    ///         through pendingWithdrawals.
+    function bid(uint256 tokenId, uint256 price) external payable nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+
+        Auction storage auction = auctions[tokenId];
+        if (!auction.active) revert NoActiveAuction(tokenId);
+        if (block.timestamp >= auction.endTime) revert AuctionEnded(tokenId, auction.endTime);
+        if (msg.sender == auction.seller) revert CannotBuyOwnToken(tokenId);
+
+        if (auction.highestBidder == address(0)) {
+            if (price < auction.reserve) revert BidBelowReserve(price, auction.reserve);
+        } else {
+            uint256 minBid = auction.highestBid + (auction.highestBid * MIN_BID_INCREMENT_BPS) / BPS;
+            if (price < minBid) revert BidIncrementTooLow(price, minBid);
+        }
+
+        uint256 surcharge = (price * config.surchargeBps) / BPS;
+        if (msg.value != price + surcharge) revert WrongPayment(price + surcharge, msg.value);
+
+        if (auction.highestBidder != address(0)) {
+            uint256 refund = auction.highestBid + (auction.highestBid * config.surchargeBps) / BPS;
+            totalAuctionEscrow -= refund;
+            _creditPending(auction.highestBidder, refund);
+        }
+
+        auction.highestBidder = msg.sender;
+        auction.highestBid = price;
+        totalAuctionEscrow += msg.value;
+
+        // Anti-sniping: late bids keep the auction open for another window
+        if (auction.endTime - block.timestamp < AUCTION_EXTENSION) {
+            auction.endTime = block.timestamp + AUCTION_EXTENSION;
+            emit AuctionExtended(tokenId, auction.endTime);
+        }
+
+        emit BidPlaced(tokenId, msg.sender, price, auction.endTime);
+    }
+
+    /// @notice Settle an auction after it ends. Callable by anyone.
+    ///         The winning bid is settled exactly like buy(); an auction
+    ///         without bids is simply closed.
+    function settleAuction(uint256 tokenId) external nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+
+        Auction memory auction = auctions[tokenId];
+        if (!auction.active) revert NoActiveAuction(tokenId);
+        if (block.timestamp < auction.endTime) revert AuctionNotEnded(tokenId, auction.endTime);
+
+        auctions[tokenId].active = false;
+        _activeAuctions.remove(tokenId);
+
+        if (auction.highestBidder != address(0)) {
+            uint256 surcharge = (auction.highestBid * config.surchargeBps) / BPS;
+            totalAuctionEscrow -= auction.highestBid + surcharge;
+            _executeSale(tokenId, auction.seller, auction.highestBidder, auction.highestBid, surcharge);
+        }
+
+        emit AuctionSettled(tokenId, auction.seller, auction.highestBidder, auction.highestBid);
+    }
+
+    /// @notice Cancel your auction. Only possible before the first bid.
+    function cancelAuction(uint256 tokenId) external {
+        Auction storage auction = auctions[tokenId];
+        if (!auction.active) revert NoActiveAuction(tokenId);
+        if (auction.seller != msg.sender) revert NotAuctionSeller(tokenId, auction.seller);
+        if (auction.highestBidder != address(0)) revert AuctionHasBids(tokenId);
+
+        auction.active = false;
+        _activeAuctions.remove(tokenId);
+
+        emit AuctionCancelled(tokenId);
+    }
+
+    // ═══════════════════════════════════════════
+    //  Marketplace: Signed orders
+    // ═══════════════════════════════════════════
+
+    /// @notice Buy a token through a seller-signed EIP-712 sell order.
+    ///         You pay: order price + 6.66% surcharge. Settlement is
+    ///         identical to buy(). Each order can be filled once.
+    function fillOrder(SellOrder calldata order, bytes calldata signature) external payable nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+
+        bytes32 orderHash = _hashOrder(order);
+        if (ECDSA.recover(orderHash, signature) != order.seller) revert InvalidSignature();
+        if (orderInvalidated[orderHash] || order.nonce != orderNonce[order.seller]) {
+            revert OrderCancelledOrFilled(orderHash);
+        }
+        if (!_notExpired(order.expiresAt)) revert OrderExpired(orderHash, order.expiresAt);
+        if (order.taker != address(0) && order.taker != msg.sender) revert ReservedForAnotherBuyer(order.taker);
+
+        if (nft.ownerOf(order.tokenId) != order.seller) revert SellerNotOwner(order.tokenId, order.seller);
+        if (order.seller == msg.sender) revert CannotBuyOwnToken(order.tokenId);
+        if (auctions[order.tokenId].active) revert AuctionActive(order.tokenId);
+        if (order.price < costBasis[order.tokenId]) revert PriceBelowCostBasis(order.price, costBasis[order.tokenId]);
+        if (order.price == 0) revert ZeroPrice();
+
+        uint256 surcharge = (order.price * config.surchargeBps) / BPS;
+        if (msg.value != order.price + surcharge) revert WrongPayment(order.price + surcharge, msg.value);
+
+        orderInvalidated[orderHash] = true;
+
+        emit OrderFilled(orderHash, order.tokenId, order.seller, msg.sender, order.price);
+
+        _executeSale(order.tokenId, order.seller, msg.sender, order.price, surcharge);
+    }
+
+    /// @notice Cancel specific signed orders of yours.
+    function cancelOrders(SellOrder[] calldata orders) external {
+        for (uint256 i = 0; i < orders.length; i++) {
+            if (orders[i].seller != msg.sender) revert NotOrderSigner(orders[i].seller);
+            bytes32 orderHash = _hashOrder(orders[i]);
+            orderInvalidated[orderHash] = true;
+            emit OrderCancelled(orderHash, msg.sender);
+        }
+    }
+
+    /// @notice Cancel all signed orders of yours at once.
+    function incrementNonce() external {
+        uint256 newNonce = ++orderNonce[msg.sender];
+        emit NonceIncremented(msg.sender, newNonce);
+    }
+
+    /// @notice EIP-712 digest of an order, as signed by the seller.
+    function getOrderHash(SellOrder calldata order) external view returns (bytes32) {
+        return _hashOrder(order);
+    }
+
+    // ═══════════════════════════════════════════
+    //  Wallet migration
+    // ═══════════════════════════════════════════
+
+    /// @notice Propose moving your whole position to `to` (step 1 of 2).
+    ///         Pass address(0) to withdraw a proposal.
+    function migrateAccount(address to) external {
+        if (to == msg.sender) revert InvalidRecipient(to);
+        pendingMigration[msg.sender] = to;
+        emit MigrationProposed(msg.sender, to);
+    }
+
+    /// @notice Accept a migration proposed by `from` (step 2 of 2).
+    ///         Moves every token with its cost basis, the ticket balance
+    ///         and pendingWithdrawals from `from` to the caller. Open
+    ///         listings of the moved tokens are cancelled. Provenance is
+    ///         left as is: it records sales, and this is not one.
+    function acceptMigration(address from) external nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        if (from == address(0) || pendingMigration[from] != msg.sender) revert MigrationNotProposed(from);
+        delete pendingMigration[from];
+
+        // --- Tokens and cost basis ---
+        EnumerableSet.UintSet storage owned = _ownedTokens[from];
+        uint256 tokenCount = owned.length();
+        while (owned.length() > 0) {
+            uint256 tokenId = owned.at(owned.length() - 1);
+            if (auctions[tokenId].active) revert AuctionActive(tokenId);
+            owned.remove(tokenId);
+            _ownedTokens[msg.sender].add(tokenId);
+            if (listings[tokenId].active) {
+                _closeListing(tokenId);
+                emit Delisted(tokenId);
+            }
+            nft.transferFrom(from, msg.sender, tokenId);
+        }
+        costBasisOf[msg.sender] += costBasisOf[from];
+        costBasisOf[from] = 0;
+
+        // --- Tickets (no new tickets, participant count stays exact) ---
+        uint256 movedTickets = tickets[from];
+        if (movedTickets > 0) {
+            if (tickets[msg.sender] > 0) {
+                totalParticipants--;
+            }
+            _participants.remove(from);
+            _participants.add(msg.sender);
+            tickets[msg.sender] += movedTickets;
+            tickets[from] = 0;
+            _checkpointTickets(msg.sender);
+            _checkpointTickets(from);
+        }
+
+        // --- Pending withdrawals (total unchanged) ---
+        uint256 pending = pendingWithdrawals[from];
+        pendingWithdrawals[msg.sender] += pending;
+        pendingWithdrawals[from] = 0;
+
+        emit AccountMigrated(from, msg.sender, tokenCount, movedTickets, pending);
+    }
+
+    // ═══════════════════════════════════════════
+    //  Creator payouts
+    // ═══════════════════════════════════════════
+
+    /// @notice Split the creator share among several beneficiaries (e.g.
+    ///         artist, developer, curator). Shares are in basis points and
+    ///         must sum to 100%. Can be set once, before the trigger.
+    function setBeneficiaries(address[] calldata accounts, uint256[] calldata sharesBps) external onlyOwner {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        if (_beneficiaries.length > 0) revert BeneficiariesAlreadySet();
+        if (accounts.length != sharesBps.length) revert LengthMismatch(accounts.length, sharesBps.length);
+        if (accounts.length == 0 || accounts.length > MAX_BENEFICIARIES) {
+            revert InvalidBeneficiaryCount(accounts.length);
+        }
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < accounts.length; i++) {
+            if (accounts[i] == address(0) || _beneficiaryIndex[accounts[i]] != 0) {
+                revert InvalidBeneficiary(accounts[i]);
+            }
+            if (sharesBps[i] == 0) revert InvalidShare(i);
+            total += sharesBps[i];
+            _beneficiaries.push(Beneficiary(accounts[i], sharesBps[i]));
+            _beneficiaryIndex[accounts[i]] = i + 1;
+        }
+        if (total != BPS) revert SharesNotFull(total);
+
+        emit BeneficiariesSet(accounts, sharesBps);
+    }
+
+    /// @notice Move your beneficiary share to a new payout address.
+    ///         Only the current address can do this, and only before the trigger.
+    function rotateBeneficiary(address newAccount) external {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        uint256 index = _beneficiaryIndex[msg.sender];
+        if (index == 0) revert NotBeneficiary(msg.sender);
+        if (newAccount == address(0) || _beneficiaryIndex[newAccount] != 0) {
+            revert InvalidBeneficiary(newAccount);
+        }
+
+        _beneficiaries[index - 1].account = newAccount;
+        _beneficiaryIndex[newAccount] = index;
+        _beneficiaryIndex[msg.sender] = 0;
+
+        emit BeneficiaryRotated(index - 1, msg.sender, newAccount);
+    }
+
+    /// @notice Creator beneficiaries and their shares, in the order they were set.
+    function getBeneficiaries() external view returns (Beneficiary[] memory) {
+        return _beneficiaries;
+    }
+
+    receive() external payable {
+        revert DirectPayment();
+    }
+
+    /// @dev Calls to functions not defined here continue to PoolManagerTriggerExtension.
+    function _implementation() internal view override returns (address) {
+        return triggerExtension;
+    }
+}
@@ -0,0 +1,315 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "./PoolManagerBase.sol";
+
+/**
+ * @title PoolManagerTriggerExtension
+ * @notice Trigger-related entry points of the PoolManager.
+ *
+ * Third link of the PoolManager -> PoolManagerExtension -> here
+ * delegatecall chain: runs against PoolManager's storage and balance
+ * and is called on PoolManager's address. Shared by every series and
+ * declares no state of its own (see PoolManagerBase). Calls it does not
+ * implement are passed on to PoolManagerViewExtension.
+ *
+ * Trigger checkpoints & status:
+ *   - While the trigger is pending anyone can record the oracle price of
+ *     a new round; finalizeTrigger() counts the observations >= triggerPrice.
+ *     Checkpoints stay open after the cooldown, so a feed that updates
+ *     less often than the cooldown lasts cannot leave the trigger stuck
+ *   - getTriggerStatus() reports which trigger action would succeed
+ *     right now, with a reason code for each one that would revert
+ *
+ * Early trigger vote:
+ *   - Any ticket holder can propose; voting weight is tickets at the
+ *     block before the proposal, so tickets bought later do not count
+ *   - Passes with VOTE_QUORUM_BPS turnout and VOTE_SUPERMAJORITY_BPS in
+ *     favor after VOTE_DURATION, then starts a non-cancellable trigger
+ */
+contract PoolManagerTriggerExtension is PoolManagerBase, Proxy {
+    // ═══════════════════════════════════════════
+    //  State
+    // ═══════════════════════════════════════════
+
+    address public immutable viewExtension;
+
+    // ═══════════════════════════════════════════
+    //  Constructor
+    // ═══════════════════════════════════════════
+
+    constructor(address _viewExtension) Ownable(msg.sender) {
+        if (_viewExtension == address(0)) revert InvalidExtension();
+        viewExtension = _viewExtension;
+    }
+
+    // ═══════════════════════════════════════════
+    //  Trigger checkpoints
+    // ═══════════════════════════════════════════
+
+    /// @notice Record an oracle observation for the pending trigger.
+    ///         Callable by anyone while the trigger is pending, including
+    ///         after the cooldown, once per oracle round.
+    function checkpointTrigger() external {
+        if (triggerState != TriggerState.Initiated) revert TriggerNotInitiated();
+
+        (uint256 price, uint80 roundId) = _getPrice();
+        if (!_observe(price, roundId)) revert RoundAlreadyObserved(roundId);
+    }
+
+    /// @notice Observations recorded for the current (or last) trigger attempt.
+    function getTriggerObservations() external view returns (Observation[] memory) {
+        return _triggerObservations;
+    }
+
+    /// @notice Why a trigger action would revert. None = it would succeed.
+    enum TriggerReason {
+        None,
+        WrongState,            // Not Inactive (initiate) / not Initiated (others)
+        CooldownActive,
+        CooldownPassed,
+        DeadlineTrigger,       // Deadline triggers cannot be cancelled or reset
+        SequencerDown,
+        SequencerGracePeriod,
+        OracleError,           // latestRoundData() reverted
+        InvalidPrice,
+        IncompleteRound,
+        StalePrice,
+        PriceBelowTrigger,
+        PriceAboveTrigger,
+        NotEnoughObservations,
+        VoteTrigger,           // Vote triggers cannot be cancelled or reset
+        FuturePriceTimestamp,  // Price updatedAt is after the current block
+        FutureSequencerTimestamp
+    }
+
+    struct TriggerStatus {
+        TriggerState state;
+        uint256 price;                   // Latest answer, 0 if unreadable or not positive
+        uint256 priceAge;                // Seconds since the answer was updated
+        TriggerReason priceReason;       // Why the price is unusable, or None
+        bool sequencerUp;                // False if down or unreadable
+        uint256 sequencerGraceRemaining; // Seconds until the grace period ends
+        bool deadlineReached;
+        uint256 cooldownRemaining;
+        uint256 observationsAbove;
+        TriggerReason initiate;
+        TriggerReason finalize;
+        TriggerReason cancel;
+        TriggerReason reset;
+    }
+
+    /// @notice Everything a keeper or frontend needs to drive the trigger:
+    ///         oracle and sequencer state, deadline, cooldown, and for each of
+    ///         initiate/finalize/cancel/resetTrigger the reason it would revert
+    ///         (None if it would succeed). Never reverts.
+    function getTriggerStatus() external view returns (TriggerStatus memory status) {
+        status.state = triggerState;
+        status.deadlineReached = block.timestamp >= deployedAt + config.deadlineDuration;
+        status.observationsAbove = triggerObservationsAbove;
+
+        bool initiated = triggerState == TriggerState.Initiated;
+        if (initiated && block.timestamp < triggerTimestamp + config.triggerCooldown) {
+            status.cooldownRemaining = triggerTimestamp + config.triggerCooldown - block.timestamp;
+        }
+        bool cooldownOver = initiated && status.cooldownRemaining == 0;
+
+        TriggerReason sequencerReason;
+        (sequencerReason, status.sequencerGraceRemaining) = _sequencerStatus();
+        status.sequencerUp = sequencerReason == TriggerReason.None || sequencerReason == TriggerReason.SequencerGracePeriod;
+
+        uint80 roundId;
+        (status.price, roundId, status.priceAge, status.priceReason) = _readPrice();
+
+        // What _getPrice() would revert with, checked in the same order
+        TriggerReason oracle = sequencerReason != TriggerReason.None ? sequencerReason : status.priceReason;
+        bool above = status.price >= config.triggerPrice;
+
+        // initiateTrigger()
+        if (triggerState != TriggerState.Inactive) status.initiate = TriggerReason.WrongState;
+        else if (status.deadlineReached) status.initiate = TriggerReason.None;
+        else if (oracle != TriggerReason.None) status.initiate = oracle;
+        else if (!above) status.initiate = TriggerReason.PriceBelowTrigger;
+
+        // finalizeTrigger()
+        if (!initiated) status.finalize = TriggerReason.WrongState;
+        else if (!cooldownOver) status.finalize = TriggerReason.CooldownActive;
+        else if (status.deadlineReached || voteTriggered) status.finalize = TriggerReason.None;
+        else if (oracle != TriggerReason.None) status.finalize = oracle;
+        else if (!above) status.finalize = TriggerReason.PriceBelowTrigger;
+        else if (triggerObservationsAbove + (_isNewRound(roundId) ? 1 : 0) < MIN_TRIGGER_OBSERVATIONS) {
+            status.finalize = TriggerReason.NotEnoughObservations;
+        }
+
+        // cancelTrigger()
+        if (!initiated) status.cancel = TriggerReason.WrongState;
+        else if (cooldownOver) status.cancel = TriggerReason.CooldownPassed;
+        else if (status.deadlineReached) status.cancel = TriggerReason.DeadlineTrigger;
+        else if (voteTriggered) status.cancel = TriggerReason.VoteTrigger;
+        else if (oracle != TriggerReason.None) status.cancel = oracle;
+        else if (above) status.cancel = TriggerReason.PriceAboveTrigger;
+
+        // resetTrigger()
+        if (!initiated) status.reset = TriggerReason.WrongState;
+        else if (!cooldownOver) status.reset = TriggerReason.CooldownActive;
+        else if (status.deadlineReached) status.reset = TriggerReason.DeadlineTrigger;
+        else if (voteTriggered) status.reset = TriggerReason.VoteTrigger;
+        else if (oracle != TriggerReason.None) status.reset = oracle;
+        else if (above) status.reset = TriggerReason.PriceAboveTrigger;
+    }
+
+    /// @dev Non-reverting counterpart of _getPrice()'s feed checks.
+    function _readPrice() internal view returns (
+        uint256 price,
+        uint80 roundId,
+        uint256 age,
+        TriggerReason reason
+    ) {
+        try priceFeed.latestRoundData() returns (
+            uint80 id,
+            int256 answer,
+            uint256,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) {
+            roundId = id;
+            if (answer > 0) price = uint256(answer);
+            if (updatedAt < block.timestamp) age = block.timestamp - updatedAt;
+
+            if (answer <= 0) reason = TriggerReason.InvalidPrice;
+            else if (updatedAt == 0 || answeredInRound < id) reason = TriggerReason.IncompleteRound;
+            else if (updatedAt > block.timestamp) reason = TriggerReason.FuturePriceTimestamp;
+            else if (age > STALE_PRICE_THRESHOLD) reason = TriggerReason.StalePrice;
+        } catch {
+            reason = TriggerReason.OracleError;
+        }
+    }
+
+    /// @dev Non-reverting counterpart of _checkSequencer().
+    function _sequencerStatus() internal view returns (TriggerReason reason, uint256 graceRemaining) {
+        if (address(sequencerUptimeFeed) == address(0)) return (TriggerReason.None, 0);
+
+        try sequencerUptimeFeed.latestRoundData() returns (uint80, int256 answer, uint256 startedAt, uint256, uint80) {
+            if (answer != 0) return (TriggerReason.SequencerDown, 0);
+            if (startedAt > block.timestamp) return (TriggerReason.FutureSequencerTimestamp, 0);
+            if (block.timestamp - startedAt <= config.triggerCooldown) {
+                return (TriggerReason.SequencerGracePeriod, startedAt + config.triggerCooldown + 1 - block.timestamp);
+            }
+            return (TriggerReason.None, 0);
+        } catch {
+            return (TriggerReason.OracleError, 0);
+        }
+    }
+
+    // ═══════════════════════════════════════════
+    //  Early trigger vote
+    // ═══════════════════════════════════════════
+
+    /// @notice Propose triggering early. Requires tickets at the snapshot
+    ///         block (the previous block). One open proposal at a time, and
+    ///         none while a passed proposal is still within its execution window.
+    function propose() external returns (uint256 proposalId) {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        if (proposalCount > 0) {
+            Proposal storage last = proposals[proposalCount - 1];
+            if (block.timestamp < last.endTime) revert ProposalActive(proposalCount - 1, last.endTime);
+            uint256 executeBy = last.endTime + VOTE_EXECUTION_WINDOW;
+            if (!last.executed && block.timestamp < executeBy && _proposalPassed(last)) {
+                revert ProposalAwaitingExecution(proposalCount - 1, executeBy);
+            }
+        }
+
+        uint256 snapshotBlock = block.number - 1;
+        if (_ticketsAt(msg.sender, snapshotBlock) == 0) revert NoVotingPower(msg.sender, snapshotBlock);
+
+        proposalId = proposalCount++;
+        uint256 endTime = block.timestamp + VOTE_DURATION;
+        proposals[proposalId] = Proposal(msg.sender, snapshotBlock, endTime, 0, 0, false);
+
+        emit ProposalCreated(proposalId, msg.sender, snapshotBlock, endTime);
+    }
+
+    /// @notice Vote for or against a proposal with your snapshot tickets.
+    function castVote(uint256 proposalId, bool support) external {
+        Proposal storage proposal = proposals[proposalId];
+        if (proposalId >= proposalCount) revert UnknownProposal(proposalId);
+        if (block.timestamp >= proposal.endTime) revert VotingClosed(proposalId, proposal.endTime);
+        if (hasVoted[proposalId][msg.sender]) revert AlreadyVoted(proposalId, msg.sender);
+
+        uint256 weight = _ticketsAt(msg.sender, proposal.snapshotBlock);
+        if (weight == 0) revert NoVotingPower(msg.sender, proposal.snapshotBlock);
+
+        hasVoted[proposalId][msg.sender] = true;
+        if (support) {
+            proposal.forVotes += weight;
+        } else {
+            proposal.againstVotes += weight;
+        }
+
+        emit VoteCast(proposalId, msg.sender, support, weight);
+    }
+
+    /// @notice Execute a passed proposal within VOTE_EXECUTION_WINDOW after
+    ///         voting closes. Callable by anyone.
+    ///         Starts the trigger cooldown; finalizeTrigger() completes it.
+    function executeProposal(uint256 proposalId) external nonReentrant {
+        if (triggerState != TriggerState.Inactive) revert TriggerActive();
+        Proposal storage proposal = proposals[proposalId];
+        if (proposalId >= proposalCount) revert UnknownProposal(proposalId);
+        if (proposalId != proposalCount - 1) revert ProposalSuperseded(proposalId, proposalCount - 1);
+        if (block.timestamp < proposal.endTime) revert VotingNotClosed(proposalId, proposal.endTime);
+        if (proposal.executed) revert ProposalAlreadyExecuted(proposalId);
+        uint256 executeBy = proposal.endTime + VOTE_EXECUTION_WINDOW;
+        if (block.timestamp >= executeBy) revert ExecutionWindowClosed(proposalId, executeBy);
+        if (!_proposalPassed(proposal)) {
+            revert ProposalNotPassed(proposalId, proposal.forVotes, proposal.againstVotes, _quorum(proposal));
+        }
+
+        proposal.executed = true;
+        voteTriggered = true;
+        _beginTrigger();
+
+        emit ProposalExecuted(proposalId, proposal.forVotes, proposal.againstVotes);
+        emit TriggerInitiated(0, block.timestamp);
+    }
+
+    /// @notice Current tally of a proposal and whether it meets quorum and supermajority.
+    function getProposalState(uint256 proposalId) external view returns (
+        uint256 forVotes,
+        uint256 againstVotes,
+        uint256 quorum,
+        bool passed,
+        bool votingOpen
+    ) {
+        if (proposalId >= proposalCount) revert UnknownProposal(proposalId);
+        Proposal storage proposal = proposals[proposalId];
+        return (
+            proposal.forVotes,
+            proposal.againstVotes,
+            _quorum(proposal),
+            _proposalPassed(proposal),
+            block.timestamp < proposal.endTime
+        );
+    }
+
+    function _quorum(Proposal storage proposal) internal view returns (uint256) {
+        return (_totalTicketsAt(proposal.snapshotBlock) * VOTE_QUORUM_BPS) / BPS;
+    }
+
+    function _proposalPassed(Proposal storage proposal) internal view returns (bool) {
+        uint256 cast = proposal.forVotes + proposal.againstVotes;
+        return cast > 0
+            && cast >= _quorum(proposal)
+            && proposal.forVotes * BPS >= cast * VOTE_SUPERMAJORITY_BPS;
+    }
+
+    receive() external payable {
+        revert DirectPayment();
+    }
+
+    /// @dev Calls to functions not defined here continue to PoolManagerViewExtension.
+    function _implementation() internal view override returns (address) {
+        return viewExtension;
+    }
+}
@@ -0,0 +1,168 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./PoolManagerBase.sol";
+
+/**
+ * @title PoolManagerViewExtension
+ * @notice Read-only views of the PoolManager that the website and tooling
+ *         need without an indexer.
+ *
+ * Last link of the PoolManager -> PoolManagerExtension ->
+ * PoolManagerTriggerExtension -> here delegatecall chain: reads
+ * PoolManager's storage and is called on PoolManager's address. Shared
+ * by every series and declares no state of its own (see PoolManagerBase).
+ *
+ * Lists are paginated with (offset, limit); an offset past the end
+ * returns an empty page. Sets are read with EnumerableSet.at, so
+ * their order changes when an element is removed.
+ */
+contract PoolManagerViewExtension is PoolManagerBase {
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using Checkpoints for Checkpoints.Trace208;
+
+    struct ListingInfo {
+        uint256 tokenId;
+        address seller;
+        uint256 price;     // Current sale price (decayed, for Dutch auctions)
+        uint256 buyPrice;  // price + surcharge
+        uint256 expiresAt;    // 0 = never; buy() rejects the listing from then on
+        address reservedFor;  // address(0) = open to any buyer
+    }
+
+    struct ParticipantInfo {
+        address account;
+        uint256 tickets;
+        bool claimed;      // Bonus distributed
+    }
+
+    // ═══════════════════════════════════════════
+    //  Constructor
+    // ═══════════════════════════════════════════
+
+    constructor() Ownable(msg.sender) {}
+
+    // ═══════════════════════════════════════════
+    //  Provenance
+    // ═══════════════════════════════════════════
+
+    /// @notice Number of sales of a token, its mint included.
+    function saleCount(uint256 tokenId) external view returns (uint256) {
+        return _provenance[tokenId].length;
+    }
+
+    /// @notice Sales of a token, oldest first. Entry 0 is the mint
+    ///         (surcharge 0); the last entry is the latest sale. A wallet
+    ///         migration is not a sale, so after one the current holder is
+    ///         not that sale's buyer.
+    function getProvenance(uint256 tokenId, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Sale[] memory page)
+    {
+        Sale[] storage sales = _provenance[tokenId];
+        uint256 end = _pageEnd(sales.length, offset, limit);
+        page = new Sale[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = sales[offset + i];
+        }
+    }
+
+    // ═══════════════════════════════════════════
+    //  Marketplace
+    // ═══════════════════════════════════════════
+
+    /// @notice Number of active listings, expired ones included.
+    function activeListingCount() external view returns (uint256) {
+        return _activeListings.length();
+    }
+
+    /// @notice Active listings, in no particular order. Expired and reserved
+    ///         listings are included until they are delisted or sold; use
+    ///         expiresAt and reservedFor to tell which a buyer can take.
+    function getActiveListings(uint256 offset, uint256 limit)
+        external
+        view
+        returns (ListingInfo[] memory page)
+    {
+        uint256 end = _pageEnd(_activeListings.length(), offset, limit);
+        page = new ListingInfo[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < page.length; i++) {
+            uint256 tokenId = _activeListings.at(offset + i);
+            Listing storage listing = listings[tokenId];
+            uint256 price = _currentPrice(listing);
+            page[i] = ListingInfo(
+                tokenId,
+                nft.ownerOf(tokenId),
+                price,
+                price + (price * config.surchargeBps) / BPS,
+                listing.expiresAt,
+                listing.reservedFor
+            );
+        }
+    }
+
+    // ═══════════════════════════════════════════
+    //  Participants
+    // ═══════════════════════════════════════════
+
+    /// @notice Addresses holding tickets, in order of their first ticket
+    ///         (a migration may reorder them). totalParticipants is the count.
+    function getParticipants(uint256 offset, uint256 limit)
+        external
+        view
+        returns (ParticipantInfo[] memory page)
+    {
+        uint256 end = _pageEnd(_participants.length(), offset, limit);
+        page = new ParticipantInfo[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < page.length; i++) {
+            address account = _participants.at(offset + i);
+            page[i] = ParticipantInfo(account, tickets[account], bonusClaimed[account]);
+        }
+    }
+
+    // ═══════════════════════════════════════════
+    //  History
+    // ═══════════════════════════════════════════
+
+    /// @notice Pool state at the end of a past block. bonusPerTicket is
+    ///         the participants' share of the surplus per ticket, in wei,
+    ///         as estimatePayout would have computed it then.
+    function getPoolStatsAt(uint256 blockNumber) external view returns (
+        uint256 _guaranteePool,
+        uint256 _surplusPool,
+        uint256 _totalTickets,
+        uint256 bonusPerTicket
+    ) {
+        uint48 key = _pastBlock(blockNumber);
+        _guaranteePool = _guaranteePoolCheckpoints.upperLookupRecent(key);
+        _surplusPool = _surplusPoolCheckpoints.upperLookupRecent(key);
+        _totalTickets = _totalTicketsAt(blockNumber);
+        if (_totalTickets > 0) {
+            bonusPerTicket = (_surplusPool * (BPS - config.creatorFeeBps)) / BPS / _totalTickets;
+        }
+    }
+
+    /// @notice Tickets held by an address at the end of a past block.
+    function ticketsAt(address account, uint256 blockNumber) external view returns (uint256) {
+        _pastBlock(blockNumber);
+        return _ticketsAt(account, blockNumber);
+    }
+
+    // ═══════════════════════════════════════════
+    //  Internal
+    // ═══════════════════════════════════════════
+
+    /// @dev Same rule as ERC20Votes: the current block may still change.
+    function _pastBlock(uint256 blockNumber) internal view returns (uint48) {
+        if (blockNumber >= block.number) revert FutureLookup(blockNumber, block.number);
+        return SafeCast.toUint48(blockNumber);
+    }
+
+    /// @dev Exclusive end index of the page [offset, offset + limit) clamped to total.
+    function _pageEnd(uint256 total, uint256 offset, uint256 limit) internal pure returns (uint256) {
+        if (offset >= total) return offset;
+        return limit > total - offset ? total : offset + limit;
+    }
+}
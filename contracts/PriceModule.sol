@@ -0,0 +1,129 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title PriceModule
+ * @notice Combines several Chainlink ETH/USD feeds into one.
+ *
+ * Exposes AggregatorV3Interface so it can be passed to PoolManager in
+ * place of a single feed. PoolManager validates what this module
+ * returns exactly like a Chainlink round.
+ *
+ * Aggregation:
+ *   - Every source round must be complete and have a positive answer
+ *   - The answer is the median of all sources (mean of the middle two
+ *     for an even count, so two feeds give their average)
+ *   - With maxDeviationBps > 0, every source must lie within that
+ *     distance of the median, so two feeds must agree
+ *   - updatedAt is the oldest source update, so one stale feed makes
+ *     the whole answer stale
+ *   - roundId/answeredInRound follow the first (primary) feed
+ */
+contract PriceModule is AggregatorV3Interface {
+    uint256 public constant BPS = 10000;
+    uint8 public constant FEED_DECIMALS = 8;
+
+    AggregatorV3Interface[] public feeds;
+    uint256 public immutable maxDeviationBps;  // 0 = no agreement check
+
+    error NoFeeds();
+    error InvalidDeviation(uint256 maxDeviationBps);
+    error InvalidFeed(address feed);
+    error WrongFeedDecimals(address feed, uint8 decimals);
+    error HistoricalRoundsNotSupported();
+    error InvalidFeedPrice(address feed, int256 answer);
+    error IncompleteFeedRound(address feed, uint80 roundId, uint80 answeredInRound);
+    error FeedsDisagree(uint256 lowest, uint256 highest, uint256 median);
+
+    constructor(address[] memory _feeds, uint256 _maxDeviationBps) {
+        if (_feeds.length == 0) revert NoFeeds();
+        if (_maxDeviationBps >= BPS) revert InvalidDeviation(_maxDeviationBps);
+
+        for (uint256 i = 0; i < _feeds.length; i++) {
+            if (_feeds[i] == address(0)) revert InvalidFeed(_feeds[i]);
+            uint8 feedDecimals = AggregatorV3Interface(_feeds[i]).decimals();
+            if (feedDecimals != FEED_DECIMALS) revert WrongFeedDecimals(_feeds[i], feedDecimals);
+            feeds.push(AggregatorV3Interface(_feeds[i]));
+        }
+        maxDeviationBps = _maxDeviationBps;
+    }
+
+    /// @notice Number of source feeds.
+    function feedCount() external view returns (uint256) {
+        return feeds.length;
+    }
+
+    // ═══════════════════════════════════════════
+    //  AggregatorV3Interface
+    // ═══════════════════════════════════════════
+
+    function decimals() external pure returns (uint8) {
+        return FEED_DECIMALS;
+    }
+
+    function description() external pure returns (string memory) {
+        return "ETH / USD (median)";
+    }
+
+    function version() external pure returns (uint256) {
+        return 1;
+    }
+
+    function getRoundData(uint80) external pure returns (uint80, int256, uint256, uint256, uint80) {
+        revert HistoricalRoundsNotSupported();
+    }
+
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) {
+        uint256 n = feeds.length;
+        uint256[] memory prices = new uint256[](n);
+        updatedAt = type(uint256).max;
+
+        for (uint256 i = 0; i < n; i++) {
+            (uint80 feedRound, int256 feedAnswer,, uint256 feedUpdatedAt, uint80 feedAnsweredIn) =
+                feeds[i].latestRoundData();
+            if (feedAnswer <= 0) revert InvalidFeedPrice(address(feeds[i]), feedAnswer);
+            if (feedUpdatedAt == 0 || feedAnsweredIn < feedRound) {
+                revert IncompleteFeedRound(address(feeds[i]), feedRound, feedAnsweredIn);
+            }
+
+            prices[i] = uint256(feedAnswer);
+            if (feedUpdatedAt < updatedAt) updatedAt = feedUpdatedAt;
+            if (i == 0) roundId = feedRound;
+        }
+
+        _sort(prices);
+        uint256 median = n % 2 == 1
+            ? prices[n / 2]
+            : (prices[n / 2 - 1] + prices[n / 2]) / 2;
+
+        if (maxDeviationBps > 0) {
+            if (
+                (prices[n - 1] - median) * BPS > median * maxDeviationBps ||
+                (median - prices[0]) * BPS > median * maxDeviationBps
+            ) revert FeedsDisagree(prices[0], prices[n - 1], median);
+        }
+
+        return (roundId, int256(median), updatedAt, updatedAt, roundId);
+    }
+
+    /// @dev Insertion sort; the feed list is tiny.
+    function _sort(uint256[] memory values) internal pure {
+        for (uint256 i = 1; i < values.length; i++) {
+            uint256 key = values[i];
+            uint256 j = i;
+            while (j > 0 && values[j - 1] > key) {
+                values[j] = values[j - 1];
+                j--;
+            }
+            values[j] = key;
+        }
+    }
+}
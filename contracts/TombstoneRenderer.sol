@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @title TombstoneRenderer
+ * @notice Builds the on-chain metadata of a destroyed Inner Models token:
+ *         a base64 JSON data URI whose image is a base64 SVG "tombstone".
+ *
+ * Everything rendered is numeric or an address, except the collection
+ * name, which is set by the factory owner at deployment.
+ */
+library TombstoneRenderer {
+    struct Tombstone {
+        uint256 tokenId;
+        string collection;
+        bool hasAttributes;
+        uint8 model;
+        uint8 family;
+        uint8 question;
+        uint256 costBasis;    // Final cost basis, in wei
+        address owner;        // Final owner
+        uint256 sales;        // Number of sales, mint included
+        uint256 finalSaleAt;  // Timestamp of the last sale (a wallet migration since is not one)
+        uint256 destroyedAt;  // TriggerFinalized timestamp
+        uint256 ethPrice;     // TriggerFinalized price, 8 decimals; 0 = deadline or vote
+    }
+
+    function tokenURI(Tombstone memory t) internal pure returns (string memory) {
+        string memory json = string.concat(
+            '{"name":"', t.collection, " #", Strings.toString(t.tokenId), ' (destroyed)",',
+            '"description":"Destroyed when the trigger fired. Its last holder was repaid the final cost basis.",',
+            '"image":"data:image/svg+xml;base64,', Base64.encode(bytes(_svg(t))), '",',
+            '"attributes":', _attributes(t), "}"
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    function _svg(Tombstone memory t) private pure returns (string memory) {
+        return string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">',
+            '<rect width="400" height="400" fill="#111"/>',
+            '<text x="200" y="90" fill="#eee" font-family="monospace" font-size="24" text-anchor="middle">DESTROYED</text>',
+            _line(150, string.concat("Token #", Strings.toString(t.tokenId))),
+            _line(185, t.hasAttributes
+                ? string.concat("Model #", Strings.toString(t.model), " / Question #", Strings.toString(t.question))
+                : "Model unknown"),
+            _line(220, string.concat("Cost basis ", _formatEth(t.costBasis), " ETH")),
+            _line(255, Strings.toHexString(t.owner)),
+            _line(290, string.concat("Destroyed at ", Strings.toString(t.destroyedAt))),
+            _line(325, t.ethPrice > 0
+                ? string.concat("ETH/USD $", Strings.toString(t.ethPrice / 1e8))
+                : "Deadline or vote trigger"),
+            "</svg>"
+        );
+    }
+
+    function _line(uint256 y, string memory text) private pure returns (string memory) {
+        return string.concat(
+            '<text x="200" y="', Strings.toString(y),
+            '" fill="#999" font-family="monospace" font-size="12" text-anchor="middle">', text, "</text>"
+        );
+    }
+
+    function _attributes(Tombstone memory t) private pure returns (string memory) {
+        string memory traits = '[{"trait_type":"Status","value":"Destroyed"}';
+        if (t.hasAttributes) {
+            traits = string.concat(
+                traits,
+                ',{"trait_type":"Model","value":', Strings.toString(t.model), "}",
+                ',{"trait_type":"Family","value":', Strings.toString(t.family), "}",
+                ',{"trait_type":"Question","value":', Strings.toString(t.question), "}"
+            );
+        }
+        traits = string.concat(
+            traits,
+            ',{"trait_type":"Final cost basis (ETH)","value":"', _formatEth(t.costBasis), '"}',
+            ',{"trait_type":"Final owner","value":"', Strings.toHexString(t.owner), '"}',
+            ',{"trait_type":"Sales","value":', Strings.toString(t.sales), "}",
+            ',{"display_type":"date","trait_type":"Final sale","value":', Strings.toString(t.finalSaleAt), "}",
+            ',{"display_type":"date","trait_type":"Destroyed at","value":', Strings.toString(t.destroyedAt), "}"
+        );
+        if (t.ethPrice > 0) {
+            traits = string.concat(
+                traits,
+                ',{"trait_type":"Trigger ETH/USD","value":', Strings.toString(t.ethPrice / 1e8), "}"
+            );
+        }
+        return string.concat(traits, "]");
+    }
+
+    /// @dev Wei as ETH with four decimals, e.g. 0.0500.
+    function _formatEth(uint256 amount) private pure returns (string memory) {
+        uint256 fraction = (amount % 1 ether) / 1e14;
+        string memory digits = Strings.toString(fraction);
+        while (bytes(digits).length < 4) {
+            digits = string.concat("0", digits);
+        }
+        return string.concat(Strings.toString(amount / 1 ether), ".", digits);
+    }
+}
@@ -2,19 +2,44 @@
 pragma solidity ^0.8.24;
 
 /// @notice Minimal mock of Chainlink AggregatorV3Interface for testing.
+///         Every setPrice() opens a new round. startedAt defaults to 0,
+///         which reads as "up since genesis" when used as a sequencer feed.
 contract MockV3Aggregator {
+    uint80 public roundId;
     int256 public price;
+    uint256 public startedAt;
     uint256 public updatedAt;
+    uint80 public answeredInRound;
     uint8 public decimals_ = 8;
 
     constructor(int256 _price) {
+        setPrice(_price);
+    }
+
+    function setPrice(int256 _price) public {
+        roundId++;
         price = _price;
         updatedAt = block.timestamp;
+        answeredInRound = roundId;
     }
 
-    function setPrice(int256 _price) external {
+    function setStartedAt(uint256 _startedAt) external {
+        startedAt = _startedAt;
+    }
+
+    /// @notice Overwrite the latest round, e.g. to simulate incomplete rounds.
+    function setRoundData(
+        uint80 _roundId,
+        int256 _price,
+        uint256 _startedAt,
+        uint256 _updatedAt,
+        uint80 _answeredInRound
+    ) external {
+        roundId = _roundId;
         price = _price;
-        updatedAt = block.timestamp;
+        startedAt = _startedAt;
+        updatedAt = _updatedAt;
+        answeredInRound = _answeredInRound;
     }
 
     function latestRoundData()
@@ -22,7 +47,7 @@ contract MockV3Aggregator {
         view
         returns (uint80, int256, uint256, uint256, uint80)
     {
-        return (0, price, 0, updatedAt, 0);
+        return (roundId, price, startedAt, updatedAt, answeredInRound);
     }
 
     function decimals() external view returns (uint8) {
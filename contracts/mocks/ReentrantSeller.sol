@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IPoolManagerSeller {
+    function mint(uint256 tokenId) external payable;
+    function list(uint256 tokenId, uint256 price) external;
+    function initiateTrigger() external;
+}
+
+/// @notice Mock seller that tries to initiate the trigger while it is being
+///         paid for a sale. Used for testing that batch purchases cannot run
+///         into an initiated trigger.
+contract ReentrantSeller {
+    IPoolManagerSeller public immutable pool;
+    bool public reentered;  // initiateTrigger() succeeded during a payout
+
+    constructor(address _pool) {
+        pool = IPoolManagerSeller(_pool);
+    }
+
+    function mint(uint256 tokenId) external payable {
+        pool.mint{value: msg.value}(tokenId);
+    }
+
+    function list(uint256 tokenId, uint256 price) external {
+        pool.list(tokenId, price);
+    }
+
+    receive() external payable {
+        try pool.initiateTrigger() {
+            reentered = true;
+        } catch {}
+    }
+}
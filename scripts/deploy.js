@@ -9,10 +9,20 @@
 const hre = require("hardhat");
 
 // ═══════════════════════════════════════════
-//  Tier assignments: 24 models × 11 questions = 264 tokens
-//  0 = Common (0.05 ETH), 1 = Standard (0.1 ETH), 2 = Rare (0.15 ETH), 3 = Legendary (0.2 ETH)
+//  Tier assignments: 27 models × 11 questions = 297 tokens
+//  0 = Common, 1 = Standard, 2 = Rare, 3 = Legendary
 // ═══════════════════════════════════════════
 
+// Mint price per tier, in wei. Uniform: all artworks are equal.
+// The owner can still change them with setTierPrices() until the first mint.
+const TIER_PRICES = [
+  hre.ethers.parseEther("0.1"), // Common
+  hre.ethers.parseEther("0.1"), // Standard
+  hre.ethers.parseEther("0.1"), // Rare
+  hre.ethers.parseEther("0.1"), // Legendary
+];
+const TIER_NAMES = ["Common", "Standard", "Rare", "Legendary"];
+
 const MODEL_TIERS = [
   0, // gpt-4o — Common
   0, // gpt-4.1 — Common
@@ -38,17 +48,31 @@ const MODEL_TIERS = [
   1, // magistral-medium — Standard
   0, // pixtral-large — Common
   0, // mistral-nemo — Common
+  3, // claude-opus-4.6 — Legendary
+  1, // claude-sonnet-4.6 — Standard
+  0, // claude-haiku-4.5 — Common
+];
+
+// Provider family of each model, in MODEL_TIERS order (stored on-chain)
+// 0 = OpenAI, 1 = xAI, 2 = Google, 3 = Mistral, 4 = Anthropic
+const MODEL_FAMILIES = [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, // OpenAI
+  1, 1, 1,                      // xAI
+  2, 2, 2, 2, 2, 2,             // Google
+  3, 3, 3, 3, 3,                // Mistral
+  4, 4, 4,                      // Anthropic
 ];
+const QUESTIONS_PER_MODEL = 11;
 
 function buildTierAssignments() {
   // Each model has 11 questions → 11 tokens at the same tier
   const tiers = [];
   for (const modelTier of MODEL_TIERS) {
-    for (let q = 0; q < 11; q++) {
+    for (let q = 0; q < QUESTIONS_PER_MODEL; q++) {
       tiers.push(modelTier);
     }
   }
-  if (tiers.length !== 264) throw new Error(`Expected 264 tiers, got ${tiers.length}`);
+  if (tiers.length !== 297) throw new Error(`Expected 297 tiers, got ${tiers.length}`);
   return tiers;
 }
 
@@ -99,52 +123,123 @@ async function main() {
   }
 
   // ═══════════════════════════════════════════
-  //  Deploy NFT contract
+  //  Deploy shared extensions and factory
+  // ═══════════════════════════════════════════
+
+  console.log("\n--- Deploying extensions and factory ---");
+
+  // PoolManager delegates to PoolManagerExtension, which delegates to
+  // PoolManagerTriggerExtension, which delegates to PoolManagerViewExtension.
+  // All three are shared by every series.
+  const ViewExt = await hre.ethers.getContractFactory("PoolManagerViewExtension");
+  const viewExt = await ViewExt.deploy();
+  await viewExt.waitForDeployment();
+  const viewExtAddr = await viewExt.getAddress();
+  console.log("PoolManagerViewExtension:", viewExtAddr);
+
+  const TriggerExt = await hre.ethers.getContractFactory("PoolManagerTriggerExtension");
+  const triggerExt = await TriggerExt.deploy(viewExtAddr);
+  await triggerExt.waitForDeployment();
+  const triggerExtAddr = await triggerExt.getAddress();
+  console.log("PoolManagerTriggerExtension:", triggerExtAddr);
+
+  const Ext = await hre.ethers.getContractFactory("PoolManagerExtension");
+  const ext = await Ext.deploy(triggerExtAddr);
+  await ext.waitForDeployment();
+  const extAddr = await ext.getAddress();
+  console.log("PoolManagerExtension:", extAddr);
+
+  const Factory = await hre.ethers.getContractFactory("InnerModelsFactory");
+  const factory = await Factory.deploy(extAddr);
+  await factory.waitForDeployment();
+  const factoryAddr = await factory.getAddress();
+  console.log("InnerModelsFactory:", factoryAddr);
+
+  // ═══════════════════════════════════════════
+  //  Create the first series (NFT + PoolManager, linked)
   // ═══════════════════════════════════════════
 
-  console.log("\n--- Deploying InnerModelsNFT ---");
+  console.log("\n--- Creating series: Inner Models ---");
 
   const baseURI = "ipfs://bafybeifggx3tyulmamlg6fvu6lmrszpotgernuptt2vcr7rri5xnllfg2a/metadata_ipfs/";
   const destroyedURI = "ipfs://bafybeifggx3tyulmamlg6fvu6lmrszpotgernuptt2vcr7rri5xnllfg2a/metadata_ipfs/destroyed.json";
 
-  const NFT = await hre.ethers.getContractFactory("InnerModelsNFT");
-  const nft = await NFT.deploy(baseURI, destroyedURI);
-  await nft.waitForDeployment();
-  const nftAddr = await nft.getAddress();
+  const seriesTx = await factory.createSeries({
+    name: "Inner Models",
+    symbol: "INNER",
+    baseURI,
+    destroyedURI,
+    priceFeed: priceFeedAddr,
+    sequencerUptimeFeed: sequencerFeedAddr,
+    creator: deployer.address,
+    pool: {
+      maxSupply: MODEL_TIERS.length * QUESTIONS_PER_MODEL,
+      surchargeBps: 666,                 // 6.66%
+      creatorFeeBps: 600,                // 6% of surplus
+      triggerPrice: 1000000000000n,      // $10,000 (8 decimals)
+      triggerCooldown: 15 * 60,          // 15 minutes
+      deadlineDuration: 1095 * 24 * 3600, // 36 months
+    },
+    tierPrices: TIER_PRICES,
+    tierAssignments: buildTierAssignments(),
+  });
+  await seriesTx.wait();
+
+  const seriesId = (await factory.seriesCount()) - 1n;
+  const series = await factory.getSeries(seriesId);
+  const nftAddr = series.nft;
+  const poolAddr = series.poolManager;
+  console.log("Series id:", seriesId.toString());
   console.log("InnerModelsNFT:", nftAddr);
+  console.log("PoolManager:", poolAddr, "(linked)");
 
   // ═══════════════════════════════════════════
-  //  Deploy PoolManager
+  //  On-chain attributes and collection metadata
   // ═══════════════════════════════════════════
 
-  console.log("\n--- Deploying PoolManager ---");
+  console.log("\n--- Setting on-chain attributes ---");
 
-  const tierAssignments = buildTierAssignments();
+  if (MODEL_FAMILIES.length !== MODEL_TIERS.length) throw new Error("MODEL_FAMILIES out of sync");
+  const nftContract = await hre.ethers.getContractAt("InnerModelsNFT", nftAddr);
 
-  const Pool = await hre.ethers.getContractFactory("PoolManager");
-  const pool = await Pool.deploy(
-    nftAddr,
-    priceFeedAddr,
-    sequencerFeedAddr,
-    deployer.address, // creator
-    tierAssignments
-  );
-  await pool.waitForDeployment();
-  const poolAddr = await pool.getAddress();
-  console.log("PoolManager:", poolAddr);
+  // Token id = model * 11 + question; a few models per transaction
+  const MODELS_PER_TX = 9;
+  for (let first = 0; first < MODEL_TIERS.length; first += MODELS_PER_TX) {
+    const tokenIds = [], models = [], families = [], questions = [];
+    for (let m = first; m < Math.min(first + MODELS_PER_TX, MODEL_TIERS.length); m++) {
+      for (let q = 0; q < QUESTIONS_PER_MODEL; q++) {
+        tokenIds.push(m * QUESTIONS_PER_MODEL + q);
+        models.push(m);
+        families.push(MODEL_FAMILIES[m]);
+        questions.push(q);
+      }
+    }
+    await (await nftContract.setAttributes(tokenIds, models, families, questions)).wait();
+  }
+  console.log("Attributes set for", (await nftContract.attributesSet()).toString(), "tokens");
+
+  // Collection metadata is optional at deploy time; the owner can set it later
+  if (process.env.CONTRACT_URI && process.env.DESTROYED_CONTRACT_URI) {
+    await (await nftContract.setContractURIs(process.env.CONTRACT_URI, process.env.DESTROYED_CONTRACT_URI)).wait();
+    console.log("contractURI:", process.env.CONTRACT_URI);
+  } else {
+    console.log("contractURI not set (CONTRACT_URI / DESTROYED_CONTRACT_URI missing)");
+  }
 
   // ═══════════════════════════════════════════
-  //  Link NFT to PoolManager
+  //  Summary (read back from the deployed contracts)
   // ═══════════════════════════════════════════
 
-  console.log("\n--- Linking NFT to PoolManager ---");
-  const linkTx = await nft.setPoolManager(poolAddr);
-  await linkTx.wait();
-  console.log("NFT linked to PoolManager");
+  const pool = await hre.ethers.getContractAt("PoolManager", poolAddr);
+  const poolExt = await hre.ethers.getContractAt("PoolManagerExtension", poolAddr);
+  const config = await pool.config();
+  const tierPrices = await poolExt.getTierPrices();
 
-  // ═══════════════════════════════════════════
-  //  Summary
-  // ═══════════════════════════════════════════
+  const tierPricing = TIER_NAMES
+    .map((name, i) => `${name} ${hre.ethers.formatEther(tierPrices[i])}`)
+    .join(" / ") + " ETH";
+  const bps = (value) => `${Number(value) / 100}%`;
+  const deadlineDays = Number(config.deadlineDuration) / 86400;
 
   console.log("\n" + "═".repeat(50));
   console.log("DEPLOYMENT COMPLETE");
@@ -152,14 +247,18 @@ async function main() {
   console.log(`Network:          ${network}`);
   console.log(`InnerModelsNFT:   ${nftAddr}`);
   console.log(`PoolManager:      ${poolAddr}`);
+  console.log(`Factory:          ${factoryAddr}`);
+  console.log(`PoolExtension:    ${extAddr}`);
+  console.log(`TriggerExtension: ${triggerExtAddr}`);
+  console.log(`ViewExtension:    ${viewExtAddr}`);
   console.log(`PriceFeed:        ${priceFeedAddr}`);
   console.log(`SequencerFeed:    ${sequencerFeedAddr}`);
-  console.log(`Creator:          ${deployer.address}`);
-  console.log(`Tier Pricing:     Common 0.05 / Standard 0.08 / Rare 0.12 / Legendary 0.2 ETH`);
-  console.log(`Max Supply:       264`);
-  console.log(`Surcharge:        6.66%`);
-  console.log(`Creator Fee:      6% of surplus (94% to participants)`);
-  console.log(`Trigger:          ETH >= $10,000 or 3 years deadline`);
+  console.log(`Creator:          ${await pool.creator()}`);
+  console.log(`Tier Pricing:     ${tierPricing}`);
+  console.log(`Max Supply:       ${await nftContract.maxSupply()}`);
+  console.log(`Surcharge:        ${bps(config.surchargeBps)}`);
+  console.log(`Creator Fee:      ${bps(config.creatorFeeBps)} of surplus (${bps(10000n - config.creatorFeeBps)} to participants)`);
+  console.log(`Trigger:          ETH >= $${(Number(config.triggerPrice) / 1e8).toLocaleString("en-US")} or ${deadlineDays} days deadline`);
   console.log("═".repeat(50));
 
   // Save deployment addresses
@@ -167,14 +266,19 @@ async function main() {
   const deploymentPath = `./deployments-${network}.json`;
   fs.writeFileSync(deploymentPath, JSON.stringify({
     network,
+    factory: factoryAddr,
+    seriesId: Number(seriesId),
     nft: nftAddr,
     poolManager: poolAddr,
+    poolExtension: extAddr,
+    triggerExtension: triggerExtAddr,
+    viewExtension: viewExtAddr,
     priceFeed: priceFeedAddr,
     sequencerFeed: sequencerFeedAddr,
     creator: deployer.address,
-    tierPricing: "Common 0.05 / Standard 0.08 / Rare 0.12 / Legendary 0.2 ETH",
-    surcharge: "6.66%",
-    deadline: "3 years",
+    tierPricing,
+    surcharge: bps(config.surchargeBps),
+    deadline: `${deadlineDays} days`,
     deployedAt: new Date().toISOString(),
   }, null, 2));
   console.log(`\nAddresses saved to ${deploymentPath}`);
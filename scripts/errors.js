@@ -0,0 +1,327 @@
+/**
+ * Revert decoder for the Inner Models contracts.
+ *
+ * Turns any revert from PoolManager (and its extensions), InnerModelsNFT,
+ * PriceModule, InnerModelsFactory or PoolManagerDeployer into
+ *   { name, signature, args, message }
+ * where args holds the error's arguments by name and message is readable
+ * text for the UI. Also decodes require strings (Error(string)), panics
+ * and the OpenZeppelin errors the contracts can raise.
+ *
+ * Accepts an ethers v6 error, a provider/RPC error or raw revert data:
+ *
+ *   const { decodeError } = require("./errors");
+ *   try { await pool.buy(tokenId, { value }); }
+ *   catch (e) { showToast(decodeError(e).message); }
+ *
+ * Only depends on ethers, so it can be bundled into the frontend as is.
+ */
+const { AbiCoder, Interface, formatEther } = require("ethers");
+
+const eth = (wei) => `${formatEther(wei)} ETH`;
+const usd = (price) => `$${(Number(price) / 1e8).toLocaleString("en-US")}`;
+const date = (timestamp) => new Date(Number(timestamp) * 1000).toISOString();
+const bps = (value) => `${Number(value) / 100}%`;
+
+// PoolConfig members in declaration order, as reported by InvalidConfig
+const CONFIG_FIELDS = [
+  "maxSupply", "surchargeBps", "creatorFeeBps", "triggerPrice", "triggerCooldown", "deadlineDuration",
+];
+
+// Every custom error the contracts declare, with its readable message.
+// Arguments are passed to the message function by name.
+const ERRORS = [
+  // ─── PoolManager: setup ───
+  ["InvalidConfig(uint256 field, uint256 value)", (a) =>
+    `Invalid pool configuration: ${CONFIG_FIELDS[Number(a.field)] ?? `field ${a.field}`} cannot be ${a.value}`],
+  ["SupplyMismatch(uint256 nftSupply, uint256 poolSupply)", (a) =>
+    `NFT max supply ${a.nftSupply} does not match the pool's ${a.poolSupply}`],
+  ["WrongTierAssignmentCount(uint256 count, uint256 expected)", (a) =>
+    `Expected ${a.expected} tier assignments, got ${a.count}`],
+  ["InvalidTierAssignment(uint256 tokenId, uint256 tier)", (a) =>
+    `Token #${a.tokenId} is assigned to unknown tier ${a.tier}`],
+  ["InvalidTierPrice(uint256 tier)", (a) => `Tier ${a.tier} price must be above zero`],
+  ["InvalidExtension()", () => "Extension address cannot be zero"],
+  ["DirectPayment()", () => "Send ETH to the PoolManager, not to an extension"],
+
+  // ─── PoolManager: minting ───
+  ["PublicMintNotOpen(uint256 publicStart)", (a) => `Public mint opens at ${date(a.publicStart)}`],
+  ["PresaleNotActive()", () => "The presale is not active"],
+  ["NotAllowlisted(address account)", (a) => `${a.account} is not on the presale allowlist`],
+  ["PresaleCapReached(address account, uint256 cap)", (a) =>
+    `${a.account} has already minted its presale allowance of ${a.cap}`],
+  ["PublicPhaseStarted()", () => "The public mint has already started"],
+  ["InvalidPhaseTimes(uint256 presaleStart, uint256 publicStart)", (a) =>
+    `Invalid mint schedule: presale ${date(a.presaleStart)}, public ${date(a.publicStart)}`],
+  ["MintingStarted()", () => "Minting has already started"],
+  ["SoldOut(uint256 maxSupply)", (a) => `All ${a.maxSupply} tokens have been minted`],
+  ["InvalidTokenId(uint256 tokenId)", (a) => `Token #${a.tokenId} does not exist in this series`],
+  ["TokenAlreadyMinted(uint256 tokenId)", (a) => `Token #${a.tokenId} has already been minted`],
+  ["TokenNotMinted(uint256 tokenId)", (a) => `Token #${a.tokenId} has not been minted yet`],
+  ["WrongMintPrice(uint256 expected, uint256 paid)", (a) =>
+    `Mint costs ${eth(a.expected)}, but ${eth(a.paid)} was sent`],
+  ["EmptyBatch()", () => "No tokens given"],
+  ["LengthMismatch(uint256 a, uint256 b)", (a) => `List lengths differ (${a.a} and ${a.b})`],
+  ["InvalidRecipient(address recipient)", (a) => `${a.recipient} cannot be the recipient`],
+
+  // ─── PoolManager: marketplace ───
+  ["TriggerActive()", () => "The trigger is active; the marketplace is closed"],
+  ["NotTokenOwner(uint256 tokenId, address owner)", (a) => `Token #${a.tokenId} is owned by ${a.owner}`],
+  ["CannotBuyOwnToken(uint256 tokenId)", (a) => `You cannot buy or bid on your own token #${a.tokenId}`],
+  ["ZeroPrice()", () => "Price must be above zero"],
+  ["PriceBelowCostBasis(uint256 price, uint256 costBasis)", (a) =>
+    `Price ${eth(a.price)} is below the cost basis of ${eth(a.costBasis)}`],
+  ["InvalidExpiry(uint256 expiresAt)", (a) => `Expiry ${date(a.expiresAt)} is not in the future`],
+  ["InvalidDuration()", () => "Duration must be above zero"],
+  ["InvalidDutchPrices(uint256 startPrice, uint256 endPrice)", (a) =>
+    `Start price ${eth(a.startPrice)} must exceed end price ${eth(a.endPrice)}`],
+  ["NotListed(uint256 tokenId)", (a) => `Token #${a.tokenId} is not listed`],
+  ["ListingExpired(uint256 tokenId, uint256 expiresAt)", (a) =>
+    `The listing of token #${a.tokenId} expired at ${date(a.expiresAt)}`],
+  ["DutchAuctionListing(uint256 tokenId)", (a) => `Token #${a.tokenId} is in a Dutch auction; its price cannot be changed`],
+  ["ReservedForAnotherBuyer(address reservedFor)", (a) => `Reserved for ${a.reservedFor}`],
+  ["WrongPayment(uint256 expected, uint256 paid)", (a) => `Send exactly ${eth(a.expected)} (sent ${eth(a.paid)})`],
+  ["InsufficientPayment(uint256 required, uint256 paid)", (a) =>
+    `${eth(a.required)} required, but ${eth(a.paid)} was sent`],
+  ["MaxTotalExceeded(uint256 total, uint256 maxTotal)", (a) =>
+    `Total ${eth(a.total)} exceeds your maximum of ${eth(a.maxTotal)}`],
+  ["OfferNotActive(uint256 tokenId, uint256 offerId)", (a) => `Offer ${a.offerId} on token #${a.tokenId} is not active`],
+  ["NotOfferMaker(uint256 tokenId, uint256 offerId)", (a) => `You did not make offer ${a.offerId} on token #${a.tokenId}`],
+  ["OfferExpired(uint256 tokenId, uint256 offerId, uint256 expiresAt)", (a) =>
+    `Offer ${a.offerId} on token #${a.tokenId} expired at ${date(a.expiresAt)}`],
+  ["AuctionActive(uint256 tokenId)", (a) => `Token #${a.tokenId} is in an auction`],
+  ["NoActiveAuction(uint256 tokenId)", (a) => `Token #${a.tokenId} has no active auction`],
+  ["AuctionEnded(uint256 tokenId, uint256 endTime)", (a) =>
+    `The auction of token #${a.tokenId} ended at ${date(a.endTime)}`],
+  ["AuctionNotEnded(uint256 tokenId, uint256 endTime)", (a) =>
+    `The auction of token #${a.tokenId} ends at ${date(a.endTime)}`],
+  ["AuctionHasBids(uint256 tokenId)", (a) => `The auction of token #${a.tokenId} already has bids`],
+  ["NotAuctionSeller(uint256 tokenId, address seller)", (a) =>
+    `Only the seller ${a.seller} can cancel the auction of token #${a.tokenId}`],
+  ["BidBelowReserve(uint256 price, uint256 reserve)", (a) =>
+    `Bid ${eth(a.price)} is below the reserve of ${eth(a.reserve)}`],
+  ["BidIncrementTooLow(uint256 price, uint256 minBid)", (a) =>
+    `Bid ${eth(a.price)} is below the minimum of ${eth(a.minBid)}`],
+  ["InvalidSignature()", () => "The order signature does not match its seller"],
+  ["OrderCancelledOrFilled(bytes32 orderHash)", () => "This order was cancelled or already filled"],
+  ["OrderExpired(bytes32 orderHash, uint256 expiresAt)", (a) => `This order expired at ${date(a.expiresAt)}`],
+  ["SellerNotOwner(uint256 tokenId, address seller)", (a) => `${a.seller} no longer owns token #${a.tokenId}`],
+  ["NotOrderSigner(address seller)", (a) => `Only ${a.seller} can cancel this order`],
+  ["MigrationNotProposed(address from)", (a) => `${a.from} has not proposed a migration to you`],
+
+  // ─── PoolManager: oracle ───
+  ["InvalidOraclePrice(int256 answer)", (a) => `The price feed returned an invalid price (${a.answer})`],
+  ["IncompleteRound(uint80 roundId, uint80 answeredInRound)", (a) =>
+    `Price feed round ${a.roundId} is incomplete`],
+  ["StalePrice(uint256 age, uint256 maxAge)", (a) =>
+    `The price feed is stale: last update ${a.age}s ago (max ${a.maxAge}s)`],
+  ["SequencerDown()", () => "The L2 sequencer is down"],
+  ["SequencerGracePeriod(uint256 elapsed, uint256 gracePeriod)", (a) =>
+    `The L2 sequencer restarted ${a.elapsed}s ago; wait ${a.gracePeriod}s after a restart`],
+  ["FuturePriceTimestamp(uint256 updatedAt, uint256 blockTimestamp)", (a) =>
+    `The price feed reports an update at ${date(a.updatedAt)}, after the current block (${date(a.blockTimestamp)})`],
+  ["FutureSequencerTimestamp(uint256 startedAt, uint256 blockTimestamp)", (a) =>
+    `The sequencer feed reports a status change at ${date(a.startedAt)}, after the current block (${date(a.blockTimestamp)})`],
+
+  // ─── PoolManager: trigger ───
+  ["TriggerAlreadyInitiated()", () => "The trigger has already been initiated"],
+  ["TriggerNotInitiated()", () => "The trigger has not been initiated"],
+  ["PriceBelowTrigger(uint256 price, uint256 triggerPrice)", (a) =>
+    `ETH is at ${usd(a.price)}, below the trigger price of ${usd(a.triggerPrice)}`],
+  ["PriceAboveTrigger(uint256 price, uint256 triggerPrice)", (a) =>
+    `ETH is at ${usd(a.price)}, still at or above the trigger price of ${usd(a.triggerPrice)}`],
+  ["CooldownNotOver(uint256 cooldownEnd)", (a) => `The trigger cooldown ends at ${date(a.cooldownEnd)}`],
+  ["CooldownPassed(uint256 cooldownEnd)", (a) => `The trigger cooldown ended at ${date(a.cooldownEnd)}`],
+  ["NotEnoughObservations(uint256 observed, uint256 required)", (a) =>
+    `${a.observed} of ${a.required} required price observations above the trigger`],
+  ["RoundAlreadyObserved(uint80 roundId)", (a) => `Price feed round ${a.roundId} was already observed`],
+  ["DeadlineTrigger()", () => "A deadline trigger can only be finalized"],
+  ["VoteTrigger()", () => "A trigger passed by vote can only be finalized"],
+
+  // ─── PoolManager: vote ───
+  ["ProposalActive(uint256 proposalId, uint256 endTime)", (a) =>
+    `Proposal ${a.proposalId} is open until ${date(a.endTime)}`],
+  ["UnknownProposal(uint256 proposalId)", (a) => `Proposal ${a.proposalId} does not exist`],
+  ["ProposalSuperseded(uint256 proposalId, uint256 latestProposalId)", (a) =>
+    `Proposal ${a.proposalId} was superseded by proposal ${a.latestProposalId}`],
+  ["VotingClosed(uint256 proposalId, uint256 endTime)", (a) =>
+    `Voting on proposal ${a.proposalId} closed at ${date(a.endTime)}`],
+  ["VotingNotClosed(uint256 proposalId, uint256 endTime)", (a) =>
+    `Voting on proposal ${a.proposalId} closes at ${date(a.endTime)}`],
+  ["AlreadyVoted(uint256 proposalId, address voter)", (a) => `${a.voter} already voted on proposal ${a.proposalId}`],
+  ["NoVotingPower(address account, uint256 snapshotBlock)", (a) =>
+    `${a.account} held no tickets at block ${a.snapshotBlock}`],
+  ["ProposalAlreadyExecuted(uint256 proposalId)", (a) => `Proposal ${a.proposalId} was already executed`],
+  ["ProposalAwaitingExecution(uint256 proposalId, uint256 executeBy)", (a) =>
+    `Proposal ${a.proposalId} passed and can be executed until ${date(a.executeBy)}`],
+  ["ExecutionWindowClosed(uint256 proposalId, uint256 executeBy)", (a) =>
+    `Proposal ${a.proposalId} had to be executed by ${date(a.executeBy)}`],
+  ["ProposalNotPassed(uint256 proposalId, uint256 forVotes, uint256 againstVotes, uint256 quorum)", (a) =>
+    `Proposal ${a.proposalId} did not pass (${a.forVotes} for, ${a.againstVotes} against, quorum ${a.quorum})`],
+
+  // ─── PoolManager: distribution and payouts ───
+  ["NotFinalized()", () => "The trigger has not been finalized"],
+  ["NothingToDistribute(address participant)", (a) => `${a.participant} holds neither tickets nor tokens`],
+  ["AlreadyDistributed(address participant)", (a) => `${a.participant} has already been paid`],
+  ["CreatorAlreadyDistributed()", () => "The creator share has already been paid"],
+  ["CreatorNotDistributed()", () => "The creator share has not been paid yet"],
+  ["BonusesPending(uint256 distributed, uint256 participants)", (a) =>
+    `${a.distributed} of ${a.participants} participants paid`],
+  ["CostBasesPending(uint256 distributed, uint256 minted)", (a) =>
+    `${a.distributed} of ${a.minted} cost bases paid`],
+  ["PendingWithdrawalsExist(uint256 total)", (a) => `${eth(a.total)} is still waiting to be withdrawn`],
+  ["NothingToWithdraw()", () => "Nothing to withdraw"],
+  ["TransferFailed(address to, uint256 amount)", (a) => `Sending ${eth(a.amount)} to ${a.to} failed`],
+  ["BeneficiariesAlreadySet()", () => "Beneficiaries have already been set"],
+  ["InvalidBeneficiaryCount(uint256 count)", (a) => `${a.count} is not a valid number of beneficiaries`],
+  ["InvalidBeneficiary(address account)", (a) => `${a.account} cannot be a beneficiary`],
+  ["InvalidShare(uint256 index)", (a) => `Beneficiary ${a.index} has a zero share`],
+  ["SharesNotFull(uint256 totalBps)", (a) => `Shares add up to ${bps(a.totalBps)}, not 100%`],
+  ["NotBeneficiary(address account)", (a) => `${a.account} is not a beneficiary`],
+
+  // ─── PoolManager: views ───
+  ["FutureLookup(uint256 blockNumber, uint256 currentBlock)", (a) =>
+    `Block ${a.blockNumber} is not in the past (current block ${a.currentBlock})`],
+
+  // ─── InnerModelsNFT ───
+  ["OnlyPoolManager(address caller)", (a) => `Only the PoolManager can do this (called by ${a.caller})`],
+  ["PoolManagerAlreadySet(address poolManager)", (a) => `The PoolManager is already set to ${a.poolManager}`],
+  ["PoolManagerNotSet()", () => "The PoolManager has not been set"],
+  ["TransferRestricted(address caller)", () => "Tokens can only change hands through the PoolManager"],
+  ["ZeroAddress()", () => "Address cannot be zero"],
+  ["InvalidMaxSupply()", () => "Max supply must be above zero"],
+  ["MaxSupplyReached(uint256 maxSupply)", (a) => `All ${a.maxSupply} tokens have been minted`],
+  ["ArtAlreadyDestroyed()", () => "The art has been destroyed"],
+  ["AttributesAlreadySet(uint256 tokenId)", (a) => `Attributes of token #${a.tokenId} are already set`],
+  ["AttributesNotSet(uint256 tokenId)", (a) => `Attributes of token #${a.tokenId} are not set`],
+
+  // ─── PriceModule ───
+  ["NoFeeds()", () => "At least one price feed is required"],
+  ["InvalidDeviation(uint256 maxDeviationBps)", (a) => `Invalid maximum deviation ${bps(a.maxDeviationBps)}`],
+  ["InvalidFeed(address feed)", (a) => `${a.feed} is not a valid price feed`],
+  ["WrongFeedDecimals(address feed, uint8 decimals)", (a) =>
+    `Price feed ${a.feed} has ${a.decimals} decimals instead of 8`],
+  ["HistoricalRoundsNotSupported()", () => "Historical rounds are not supported"],
+  ["InvalidFeedPrice(address feed, int256 answer)", (a) => `Price feed ${a.feed} returned an invalid price (${a.answer})`],
+  ["IncompleteFeedRound(address feed, uint80 roundId, uint80 answeredInRound)", (a) =>
+    `Round ${a.roundId} of price feed ${a.feed} is incomplete`],
+  ["FeedsDisagree(uint256 lowest, uint256 highest, uint256 median)", (a) =>
+    `Price feeds disagree: ${usd(a.lowest)} to ${usd(a.highest)} around ${usd(a.median)}`],
+
+  // ─── InnerModelsFactory / PoolManagerDeployer ───
+  ["UnknownSeries(uint256 seriesId)", (a) => `Series ${a.seriesId} does not exist`],
+  ["OnlyFactory(address caller)", (a) => `Only the factory can deploy pools (called by ${a.caller})`],
+
+  // ─── OpenZeppelin ───
+  ["OwnableUnauthorizedAccount(address account)", (a) => `${a.account} is not the owner`],
+  ["OwnableInvalidOwner(address owner)", (a) => `${a.owner} cannot be the owner`],
+  ["ReentrancyGuardReentrantCall()", () => "Reentrant call"],
+  ["CheckpointUnorderedInsertion()", () => "Checkpoint written out of order"],
+  ["ERC721NonexistentToken(uint256 tokenId)", (a) => `Token #${a.tokenId} has not been minted`],
+  ["ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)", (a) =>
+    `Token #${a.tokenId} is owned by ${a.owner}, not ${a.sender}`],
+  ["ERC721InsufficientApproval(address operator, uint256 tokenId)", (a) =>
+    `${a.operator} is not approved for token #${a.tokenId}`],
+  ["ERC721InvalidApprover(address approver)", (a) => `${a.approver} cannot approve`],
+  ["ERC721InvalidOperator(address operator)", (a) => `${a.operator} cannot be an operator`],
+  ["ERC721InvalidOwner(address owner)", (a) => `${a.owner} cannot own tokens`],
+  ["ERC721InvalidReceiver(address receiver)", (a) => `${a.receiver} cannot receive tokens`],
+  ["ERC721InvalidSender(address sender)", (a) => `${a.sender} cannot send tokens`],
+  ["ERC2981InvalidDefaultRoyalty(uint256 numerator, uint256 denominator)", (a) =>
+    `Royalty ${bps(a.numerator)} is above ${bps(a.denominator)}`],
+  ["ERC2981InvalidDefaultRoyaltyReceiver(address receiver)", (a) => `${a.receiver} cannot receive royalties`],
+  ["ERC2981InvalidTokenRoyalty(uint256 tokenId, uint256 numerator, uint256 denominator)", (a) =>
+    `Token #${a.tokenId} royalty ${bps(a.numerator)} is above ${bps(a.denominator)}`],
+  ["ERC2981InvalidTokenRoyaltyReceiver(uint256 tokenId, address receiver)", (a) =>
+    `${a.receiver} cannot receive royalties for token #${a.tokenId}`],
+  ["InvalidShortString()", () => "Invalid short string"],
+  ["StringTooLong(string str)", (a) => `String too long: ${a.str}`],
+  ["StringsInsufficientHexLength(uint256 value, uint256 length)", (a) =>
+    `${a.value} does not fit in ${a.length} hex bytes`],
+  ["ECDSAInvalidSignature()", () => "Invalid signature"],
+  ["ECDSAInvalidSignatureLength(uint256 length)", (a) => `Invalid signature length ${a.length}`],
+  ["ECDSAInvalidSignatureS(bytes32 s)", () => "Invalid signature"],
+  ["SafeCastOverflowedUintDowncast(uint8 bits, uint256 value)", (a) => `${a.value} does not fit in ${a.bits} bits`],
+];
+
+const PANICS = {
+  0x01: "Assertion failed",
+  0x11: "Arithmetic overflow or underflow",
+  0x12: "Division by zero",
+  0x21: "Invalid enum value",
+  0x31: "Pop from an empty array",
+  0x32: "Array index out of bounds",
+  0x41: "Out of memory",
+  0x51: "Call to an uninitialized function",
+};
+
+const ERROR_STRING = "0x08c379a0";  // Error(string)
+const PANIC = "0x4e487b71";         // Panic(uint256)
+
+const iface = new Interface(ERRORS.map(([signature]) => `error ${signature}`));
+const messages = new Map(ERRORS.map(([signature, message]) => [signature.slice(0, signature.indexOf("(")), message]));
+
+/**
+ * Find the revert data in an error. ethers wraps provider errors, which
+ * wrap RPC errors, so the data may sit a few levels down.
+ */
+function revertData(error) {
+  if (typeof error === "string") return error;
+  for (let e = error, depth = 0; e && depth < 5; e = e.error || e.info?.error || e.cause, depth++) {
+    if (typeof e.data === "string" && e.data.startsWith("0x")) return e.data;
+    if (typeof e.data?.data === "string") return e.data.data;
+  }
+  return null;
+}
+
+/**
+ * Decode a revert into { name, signature, args, message }.
+ * Unrecognized reverts come back with name "Unknown" and the original
+ * error message (or the raw selector).
+ */
+function decodeError(error) {
+  const data = revertData(error);
+  if (!data || data === "0x") {
+    return {
+      name: "Unknown",
+      signature: null,
+      args: {},
+      message: error?.shortMessage || error?.message || "Transaction reverted without a reason",
+    };
+  }
+
+  const selector = data.slice(0, 10);
+  const payload = "0x" + data.slice(10);
+  if (selector === ERROR_STRING) {
+    const [reason] = AbiCoder.defaultAbiCoder().decode(["string"], payload);
+    return { name: "Error", signature: "Error(string)", args: { reason }, message: reason };
+  }
+  if (selector === PANIC) {
+    const [code] = AbiCoder.defaultAbiCoder().decode(["uint256"], payload);
+    const message = PANICS[Number(code)] || `Panic 0x${code.toString(16)}`;
+    return { name: "Panic", signature: "Panic(uint256)", args: { code }, message };
+  }
+
+  let parsed = null;
+  try {
+    parsed = iface.parseError(data);
+  } catch {
+    // Selector known but data malformed: fall through to Unknown
+  }
+  if (!parsed) {
+    return { name: "Unknown", signature: null, args: {}, message: `Unknown error ${selector}` };
+  }
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = parsed.args[i];
+  });
+  return {
+    name: parsed.name,
+    signature: parsed.signature,
+    args,
+    message: messages.get(parsed.name)(args),
+  };
+}
+
+module.exports = { decodeError, ERRORS };
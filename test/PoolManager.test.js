@@ -1,18 +1,31 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, artifacts } = require("hardhat");
+const { decodeError, ERRORS } = require("../scripts/errors");
 
 describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
-  let nft, pool, priceFeed, sequencerFeed;
+  let nft, pool, poolExt, poolTrigger, poolViews, priceFeed, sequencerFeed, extension;
   let creator, buyer1, buyer2, buyer3, outsider;
 
   const PRICE_COMMON = ethers.parseEther("0.05");
   const PRICE_STANDARD = ethers.parseEther("0.08");
   const PRICE_RARE = ethers.parseEther("0.12");
   const PRICE_LEGENDARY = ethers.parseEther("0.2");
+  const TIER_PRICES = [PRICE_COMMON, PRICE_STANDARD, PRICE_RARE, PRICE_LEGENDARY];
   const SURCHARGE_BPS = 666n; // 6.66%
   const CREATOR_FEE_BPS = 600n; // 6%
   const BPS = 10000n;
   const TICKET_PRICE = ethers.parseEther("0.001");
+  const MAX_SUPPLY = 297n;
+
+  // Inner Models series parameters (PoolManagerBase.PoolConfig)
+  const POOL_CONFIG = {
+    maxSupply: MAX_SUPPLY,
+    surchargeBps: SURCHARGE_BPS,
+    creatorFeeBps: CREATOR_FEE_BPS,
+    triggerPrice: 1000000000000n, // $10,000
+    triggerCooldown: 15n * 60n,
+    deadlineDuration: 1095n * 24n * 60n * 60n,
+  };
 
   function calcSurcharge(price) {
     return (price * SURCHARGE_BPS) / BPS;
@@ -23,7 +36,7 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
   }
 
   function buildTierAssignments() {
-    const tiers = new Array(264).fill(0); // default Common
+    const tiers = new Array(297).fill(0); // default Common
     for (let i = 22; i < 55; i++) tiers[i] = 1; // Standard
     for (let i = 55; i < 66; i++) tiers[i] = 2; // Rare
     for (let i = 66; i < 77; i++) tiers[i] = 3; // Legendary
@@ -31,6 +44,30 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
     return tiers;
   }
 
+  // Extensions hold no per-series data: one pair serves every PoolManager
+  async function deployExtensions() {
+    const ViewExt = await ethers.getContractFactory("PoolManagerViewExtension");
+    const viewExt = await ViewExt.deploy();
+    const TriggerExt = await ethers.getContractFactory("PoolManagerTriggerExtension");
+    const triggerExt = await TriggerExt.deploy(await viewExt.getAddress());
+    const Ext = await ethers.getContractFactory("PoolManagerExtension");
+    return Ext.deploy(await triggerExt.getAddress());
+  }
+
+  async function deployPool(
+    nftAddr, priceFeedAddr, sequencerFeedAddr, creatorAddr, tierAssignments, config = POOL_CONFIG, tierPrices = TIER_PRICES
+  ) {
+    const Pool = await ethers.getContractFactory("PoolManager");
+    return Pool.deploy(
+      nftAddr, priceFeedAddr, sequencerFeedAddr, creatorAddr, config, tierPrices, tierAssignments, await extension.getAddress()
+    );
+  }
+
+  async function deployNFT(baseURI, destroyedURI, maxSupply = MAX_SUPPLY) {
+    const NFT = await ethers.getContractFactory("InnerModelsNFT");
+    return NFT.deploy("Inner Models", "INNER", maxSupply, baseURI, destroyedURI);
+  }
+
   beforeEach(async function () {
     [creator, buyer1, buyer2, buyer3, outsider] = await ethers.getSigners();
 
@@ -38,25 +75,30 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
     priceFeed = await MockAgg.deploy(270000000000n); // $2,700
     sequencerFeed = await MockAgg.deploy(0); // Sequencer up
 
-    const NFT = await ethers.getContractFactory("InnerModelsNFT");
-    nft = await NFT.deploy("ipfs://QmBaseURI/", "ipfs://QmDestroyedURI");
+    extension = await deployExtensions();
+    nft = await deployNFT("ipfs://QmBaseURI/", "ipfs://QmDestroyedURI");
 
-    const Pool = await ethers.getContractFactory("PoolManager");
-    pool = await Pool.deploy(
+    pool = await deployPool(
       await nft.getAddress(),
       await priceFeed.getAddress(),
       await sequencerFeed.getAddress(),
       creator.address,
       buildTierAssignments()
     );
+    // Extension entry points are served from the PoolManager address
+    poolExt = await ethers.getContractAt("PoolManagerExtension", await pool.getAddress());
+    poolTrigger = await ethers.getContractAt("PoolManagerTriggerExtension", await pool.getAddress());
+    poolViews = await ethers.getContractAt("PoolManagerViewExtension", await pool.getAddress());
 
     await nft.setPoolManager(await pool.getAddress());
   });
 
-  // Helper: trigger + finalize
+  // Helper: trigger + checkpoint + finalize (three observations in distinct rounds)
   async function triggerAndFinalize() {
     await priceFeed.setPrice(1000000000000n); // $10,000
     await pool.initiateTrigger();
+    await priceFeed.setPrice(1000000000000n); // New round
+    await poolTrigger.checkpointTrigger();
     await ethers.provider.send("evm_increaseTime", [3601]);
     await ethers.provider.send("evm_mine");
     await priceFeed.setPrice(1000000000000n); // Refresh
@@ -105,20 +147,218 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
     it("should reject wrong mint price", async function () {
       await expect(
         pool.connect(buyer1).mint(0, { value: ethers.parseEther("0.01") })
-      ).to.be.revertedWith("Wrong mint price");
+      ).to.be.revertedWithCustomError(pool, "WrongMintPrice")
+        .withArgs(PRICE_COMMON, ethers.parseEther("0.01"));
     });
 
     it("should reject duplicate tokenId", async function () {
       await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
       await expect(
         pool.connect(buyer2).mint(0, { value: PRICE_COMMON })
-      ).to.be.reverted;
+      ).to.be.revertedWithCustomError(pool, "TokenAlreadyMinted")
+        .withArgs(0);
     });
 
     it("should reject tokenId >= MAX_SUPPLY", async function () {
       await expect(
-        pool.connect(buyer1).mint(264, { value: PRICE_COMMON })
-      ).to.be.revertedWith("Invalid tokenId");
+        pool.connect(buyer1).mint(MAX_SUPPLY, { value: PRICE_COMMON })
+      ).to.be.revertedWithCustomError(pool, "InvalidTokenId")
+        .withArgs(MAX_SUPPLY);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Minting for others
+  // ═══════════════════════════════════════════
+
+  describe("mintTo & gift mints", function () {
+    it("should give the recipient the NFT, cost basis and tickets", async function () {
+      const price = await pool.mintPriceOf(0);
+      await expect(pool.connect(buyer1).mintTo(buyer2.address, 0, { value: price }))
+        .to.emit(pool, "MintedFor")
+        .withArgs(buyer1.address, buyer2.address, 0);
+
+      expect(await nft.ownerOf(0)).to.equal(buyer2.address);
+      expect(await pool.costBasisOf(buyer2.address)).to.equal(price);
+      expect(await pool.tokensOfOwner(buyer2.address)).to.deep.equal([0n]);
+      expect(await pool.tickets(buyer2.address)).to.equal(calcTickets(calcSurcharge(price)));
+      expect(await pool.tickets(buyer1.address)).to.equal(0n);
+      expect(await pool.guaranteePool()).to.equal(price);
+
+      await expect(
+        pool.connect(buyer1).mintTo(ethers.ZeroAddress, 1, { value: price })
+      ).to.be.revertedWithCustomError(pool, "InvalidRecipient")
+        .withArgs(ethers.ZeroAddress);
+      await expect(
+        pool.connect(buyer1).mintTo(buyer2.address, 1, { value: price - 1n })
+      ).to.be.revertedWithCustomError(pool, "WrongMintPrice")
+        .withArgs(price, price - 1n);
+    });
+
+    it("should let the owner gift a fully funded batch", async function () {
+      const ids = [0, 1, 2];
+      let total = 0n;
+      for (const id of ids) total += await pool.mintPriceOf(id);
+      const recipients = [buyer1.address, buyer2.address, buyer2.address];
+
+      await expect(
+        poolExt.connect(buyer1).giftMintBatch(recipients, ids, { value: total })
+      ).to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount")
+        .withArgs(buyer1.address);
+      await expect(
+        poolExt.connect(creator).giftMintBatch(recipients, ids, { value: total - 1n })
+      ).to.be.revertedWithCustomError(pool, "WrongMintPrice")
+        .withArgs(total, total - 1n);
+      await expect(
+        poolExt.connect(creator).giftMintBatch([buyer1.address], ids, { value: total })
+      ).to.be.revertedWithCustomError(pool, "LengthMismatch")
+        .withArgs(1, 3);
+
+      await poolExt.connect(creator).giftMintBatch(recipients, ids, { value: total });
+
+      expect(await nft.ownerOf(1)).to.equal(buyer2.address);
+      expect(await pool.tokensOfOwner(buyer2.address)).to.deep.equal([1n, 2n]);
+      expect(await pool.totalMinted()).to.equal(3n);
+      expect(await pool.tickets(creator.address)).to.equal(0n);
+
+      // guaranteePool == sum(costBasis)
+      let sum = 0n;
+      for (const id of ids) sum += await pool.costBasis(id);
+      expect(await pool.guaranteePool()).to.equal(sum);
+      expect(sum).to.equal(total);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Presale
+  // ═══════════════════════════════════════════
+
+  describe("Presale", function () {
+    let mintPrice, presaleStart, publicStart, tree;
+
+    // Sorted-pair Merkle tree, same leaf encoding as OpenZeppelin's StandardMerkleTree
+    function buildTree(entries) {
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      const leaves = entries.map(([account, cap]) =>
+        ethers.keccak256(ethers.keccak256(coder.encode(["address", "uint256"], [account, cap])))
+      );
+      const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+      const layers = [leaves];
+      while (layers[layers.length - 1].length > 1) {
+        const prev = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < prev.length; i += 2) {
+          next.push(i + 1 < prev.length ? hashPair(prev[i], prev[i + 1]) : prev[i]);
+        }
+        layers.push(next);
+      }
+      const getProof = (index) => {
+        const proof = [];
+        for (const layer of layers.slice(0, -1)) {
+          const sibling = index ^ 1;
+          if (sibling < layer.length) proof.push(layer[sibling]);
+          index >>= 1;
+        }
+        return proof;
+      };
+      return { root: layers[layers.length - 1][0], getProof };
+    }
+
+    beforeEach(async function () {
+      mintPrice = await pool.mintPriceOf(0);
+      tree = buildTree([[buyer1.address, 2], [buyer2.address, 1], [buyer3.address, 1]]);
+      const block = await ethers.provider.getBlock("latest");
+      presaleStart = block.timestamp + 100;
+      publicStart = block.timestamp + 1000;
+      await poolExt.connect(creator).setPresaleRoot(tree.root);
+      await poolExt.connect(creator).setMintPhases(presaleStart, publicStart);
+    });
+
+    async function goTo(timestamp) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    it("should expose the phase schedule", async function () {
+      let phases = await poolExt.getMintPhases();
+      expect(phases._presaleStart).to.equal(presaleStart);
+      expect(phases._publicStart).to.equal(publicStart);
+      expect(phases._presaleMerkleRoot).to.equal(tree.root);
+      expect(phases.currentPhase).to.equal(0n); // Closed
+
+      await goTo(presaleStart);
+      expect((await poolExt.getMintPhases()).currentPhase).to.equal(1n); // Presale
+      await goTo(publicStart);
+      expect((await poolExt.getMintPhases()).currentPhase).to.equal(2n); // Public
+    });
+
+    it("should close public mint until publicStart", async function () {
+      await expect(
+        pool.connect(buyer1).mint(0, { value: mintPrice })
+      ).to.be.revertedWithCustomError(pool, "PublicMintNotOpen")
+        .withArgs(publicStart);
+      await expect(
+        poolExt.connect(buyer1).presaleMint(0, 2, tree.getProof(0), { value: mintPrice })
+      ).to.be.revertedWithCustomError(pool, "PresaleNotActive");
+
+      await goTo(publicStart);
+      await pool.connect(outsider).mint(0, { value: mintPrice });
+      expect(await nft.ownerOf(0)).to.equal(outsider.address);
+      await expect(
+        poolExt.connect(buyer1).presaleMint(1, 2, tree.getProof(0), { value: mintPrice })
+      ).to.be.revertedWithCustomError(pool, "PresaleNotActive");
+    });
+
+    it("should let allowlisted addresses mint up to their cap", async function () {
+      await goTo(presaleStart);
+
+      await poolExt.connect(buyer1).presaleMint(0, 2, tree.getProof(0), { value: mintPrice });
+      await poolExt.connect(buyer1).presaleMint(1, 2, tree.getProof(0), { value: mintPrice });
+      await expect(
+        poolExt.connect(buyer1).presaleMint(2, 2, tree.getProof(0), { value: mintPrice })
+      ).to.be.revertedWithCustomError(pool, "PresaleCapReached")
+        .withArgs(buyer1.address, 2);
+
+      await expect(poolExt.connect(buyer2).presaleMint(2, 1, tree.getProof(1), { value: mintPrice }))
+        .to.emit(pool, "Minted");
+      expect(await pool.presaleMinted(buyer1.address)).to.equal(2n);
+      expect(await pool.tickets(buyer2.address)).to.equal(calcTickets(calcSurcharge(mintPrice)));
+    });
+
+    it("should reject addresses or caps not in the allowlist", async function () {
+      await goTo(presaleStart);
+      await expect(
+        poolExt.connect(outsider).presaleMint(0, 1, tree.getProof(1), { value: mintPrice })
+      ).to.be.revertedWithCustomError(pool, "NotAllowlisted")
+        .withArgs(outsider.address);
+      await expect(
+        poolExt.connect(buyer2).presaleMint(0, 5, tree.getProof(1), { value: mintPrice })
+      ).to.be.revertedWithCustomError(pool, "NotAllowlisted")
+        .withArgs(buyer2.address);
+    });
+
+    it("should only let the owner configure, and only before the public phase", async function () {
+      await expect(
+        poolExt.connect(buyer1).setPresaleRoot(ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount")
+        .withArgs(buyer1.address);
+      await expect(
+        poolExt.connect(creator).setMintPhases(publicStart, presaleStart)
+      ).to.be.revertedWithCustomError(pool, "InvalidPhaseTimes")
+        .withArgs(publicStart, presaleStart);
+
+      await goTo(presaleStart);
+      await poolExt.connect(buyer1).presaleMint(0, 2, tree.getProof(0), { value: mintPrice });
+      // Still adjustable during the presale
+      await poolExt.connect(creator).setMintPhases(presaleStart, publicStart + 100);
+
+      await goTo(publicStart + 100);
+      await expect(
+        poolExt.connect(creator).setPresaleRoot(ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(pool, "PublicPhaseStarted");
+      await expect(
+        poolExt.connect(creator).setMintPhases(publicStart + 200, publicStart + 300)
+      ).to.be.revertedWithCustomError(pool, "PublicPhaseStarted");
     });
   });
 
@@ -143,13 +383,15 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
     it("should reject listing below cost basis", async function () {
       await expect(
         pool.connect(buyer1).list(0, ethers.parseEther("0.01"))
-      ).to.be.revertedWith("Price below cost basis");
+      ).to.be.revertedWithCustomError(pool, "PriceBelowCostBasis")
+        .withArgs(ethers.parseEther("0.01"), PRICE_COMMON);
     });
 
     it("should reject listing by non-owner", async function () {
       await expect(
         pool.connect(buyer2).list(0, ethers.parseEther("0.5"))
-      ).to.be.revertedWith("Not owner");
+      ).to.be.revertedWithCustomError(pool, "NotTokenOwner")
+        .withArgs(0, buyer1.address);
     });
 
     it("should delist an NFT", async function () {
@@ -217,7 +459,8 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
       await pool.connect(buyer1).list(0, ethers.parseEther("0.5"));
       await expect(
         pool.connect(buyer2).buy(0, { value: ethers.parseEther("0.5") })
-      ).to.be.revertedWith("Wrong payment amount");
+      ).to.be.revertedWithCustomError(pool, "WrongPayment")
+        .withArgs(ethers.parseEther("0.5") + calcSurcharge(ethers.parseEther("0.5")), ethers.parseEther("0.5"));
     });
 
     it("should reject buying own NFT", async function () {
@@ -226,7 +469,8 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
       await pool.connect(buyer1).list(0, salePrice);
       await expect(
         pool.connect(buyer1).buy(0, { value: salePrice + surcharge })
-      ).to.be.revertedWith("Cannot buy own NFT");
+      ).to.be.revertedWithCustomError(pool, "CannotBuyOwnToken")
+        .withArgs(0);
     });
 
     it("should handle multiple resales with growing pools", async function () {
@@ -256,150 +500,1971 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
   });
 
   // ═══════════════════════════════════════════
-  //  Transfer restrictions
+  //  Listing terms
   // ═══════════════════════════════════════════
 
-  describe("Transfer restrictions", function () {
-    it("should block direct transfers", async function () {
-      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+  describe("Listing expiry, repricing & reserved buyers", function () {
+    const price = ethers.parseEther("0.5");
+    let mintPrice, expiresAt;
+
+    beforeEach(async function () {
+      mintPrice = await pool.mintPriceOf(0);
+      await pool.connect(buyer1).mint(0, { value: mintPrice });
+      const block = await ethers.provider.getBlock("latest");
+      expiresAt = block.timestamp + 3600;
+    });
+
+    it("should store expiry and reserved buyer", async function () {
+      await expect(pool.connect(buyer1).listWithTerms(0, price, expiresAt, buyer2.address))
+        .to.emit(pool, "Listed")
+        .withArgs(0, price, expiresAt, buyer2.address);
+
+      const listing = await pool.listings(0);
+      expect(listing.expiresAt).to.equal(expiresAt);
+      expect(listing.reservedFor).to.equal(buyer2.address);
+    });
+
+    it("should reject buying an expired listing", async function () {
+      await pool.connect(buyer1).listWithTerms(0, price, expiresAt, ethers.ZeroAddress);
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(pool.getBuyPrice(0))
+        .to.be.revertedWithCustomError(pool, "ListingExpired")
+        .withArgs(0, expiresAt);
       await expect(
-        nft.connect(buyer1).transferFrom(buyer1.address, buyer2.address, 0)
-      ).to.be.revertedWith("Transfers only via PoolManager");
+        pool.connect(buyer2).buy(0, { value: price + calcSurcharge(price) })
+      ).to.be.revertedWithCustomError(pool, "ListingExpired")
+        .withArgs(0, expiresAt);
+    });
+
+    it("should only sell a reserved listing to the reserved buyer", async function () {
+      await pool.connect(buyer1).listWithTerms(0, price, 0, buyer2.address);
+      const total = price + calcSurcharge(price);
+
+      await expect(pool.connect(buyer3).getBuyPrice(0))
+        .to.be.revertedWithCustomError(pool, "ReservedForAnotherBuyer")
+        .withArgs(buyer2.address);
+      await expect(
+        pool.connect(buyer3).buy(0, { value: total })
+      ).to.be.revertedWithCustomError(pool, "ReservedForAnotherBuyer")
+        .withArgs(buyer2.address);
+
+      expect(await pool.connect(buyer2).getBuyPrice(0)).to.equal(total);
+      await pool.connect(buyer2).buy(0, { value: total });
+      expect(await nft.ownerOf(0)).to.equal(buyer2.address);
+    });
+
+    it("should skip expired and reserved listings in buyMany", async function () {
+      await pool.connect(buyer1).mint(1, { value: await pool.mintPriceOf(1) });
+      await pool.connect(buyer1).listWithTerms(0, price, 0, buyer2.address);
+      await pool.connect(buyer1).list(1, price);
+      const total = (price + calcSurcharge(price)) * 2n;
+
+      await pool.connect(buyer3).buyMany([0, 1], total, { value: total });
+      expect(await nft.ownerOf(0)).to.equal(buyer1.address);
+      expect(await nft.ownerOf(1)).to.equal(buyer3.address);
+    });
+
+    it("should update price in place and emit PriceUpdated", async function () {
+      await pool.connect(buyer1).listWithTerms(0, price, expiresAt, buyer2.address);
+      const newPrice = ethers.parseEther("0.8");
+
+      await expect(pool.connect(buyer1).updatePrice(0, newPrice))
+        .to.emit(pool, "PriceUpdated")
+        .withArgs(0, price, newPrice);
+
+      const listing = await pool.listings(0);
+      expect(listing.price).to.equal(newPrice);
+      expect(listing.expiresAt).to.equal(expiresAt);
+      expect(listing.reservedFor).to.equal(buyer2.address);
+    });
+
+    it("should enforce the cost-basis floor on updatePrice", async function () {
+      await pool.connect(buyer1).list(0, price);
+      await expect(
+        pool.connect(buyer1).updatePrice(0, mintPrice - 1n)
+      ).to.be.revertedWithCustomError(pool, "PriceBelowCostBasis")
+        .withArgs(mintPrice - 1n, mintPrice);
+      await expect(
+        pool.connect(buyer2).updatePrice(0, price)
+      ).to.be.revertedWithCustomError(pool, "NotTokenOwner")
+        .withArgs(0, buyer1.address);
+    });
+
+    it("should reject updatePrice on an inactive or expired listing", async function () {
+      await expect(pool.connect(buyer1).updatePrice(0, price))
+        .to.be.revertedWithCustomError(pool, "NotListed")
+        .withArgs(0);
+
+      await pool.connect(buyer1).listWithTerms(0, price, expiresAt, ethers.ZeroAddress);
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      await expect(pool.connect(buyer1).updatePrice(0, price))
+        .to.be.revertedWithCustomError(pool, "ListingExpired")
+        .withArgs(0, expiresAt);
+    });
+
+    it("should reject an expiry in the past", async function () {
+      await expect(
+        pool.connect(buyer1).listWithTerms(0, price, 1, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(pool, "InvalidExpiry")
+        .withArgs(1);
     });
   });
 
   // ═══════════════════════════════════════════
-  //  Smart Tickets
+  //  Dutch auctions
   // ═══════════════════════════════════════════
 
-  describe("Smart Tickets", function () {
-    it("should accumulate tickets across multiple actions", async function () {
-      // buyer1 mints token 0 (Common) → 3 tickets
-      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
-      expect(await pool.tickets(buyer1.address)).to.equal(3n);
+  describe("Dutch-auction listings", function () {
+    const startPrice = ethers.parseEther("1.0");
+    const duration = 10000;
+    let endPrice, startTime;
 
-      // buyer1 mints token 1 (Common) → 3 more tickets
-      await pool.connect(buyer1).mint(1, { value: PRICE_COMMON });
-      expect(await pool.tickets(buyer1.address)).to.equal(6n);
+    beforeEach(async function () {
+      endPrice = await pool.mintPriceOf(0);
+      await pool.connect(buyer1).mint(0, { value: endPrice });
+      await pool.connect(buyer1).listDutch(0, startPrice, endPrice, duration);
+      startTime = (await pool.listings(0)).startTime;
+    });
 
-      // totalParticipants should still be 1
+    function priceAt(elapsed) {
+      if (elapsed >= duration) return endPrice;
+      return startPrice - ((startPrice - endPrice) * BigInt(elapsed)) / BigInt(duration);
+    }
+
+    it("should store the auction parameters", async function () {
+      const listing = await pool.listings(0);
+      expect(listing.active).to.equal(true);
+      expect(listing.price).to.equal(endPrice);
+      expect(listing.startPrice).to.equal(startPrice);
+      expect(listing.duration).to.equal(BigInt(duration));
+      expect(await pool.getCurrentPrice(0)).to.equal(startPrice);
+    });
+
+    it("should decay linearly and floor at the end price", async function () {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(startTime) + duration / 4]);
+      await ethers.provider.send("evm_mine");
+      expect(await pool.getCurrentPrice(0)).to.equal(priceAt(duration / 4));
+
+      await ethers.provider.send("evm_increaseTime", [duration]);
+      await ethers.provider.send("evm_mine");
+      expect(await pool.getCurrentPrice(0)).to.equal(endPrice);
+      expect(await pool.getBuyPrice(0)).to.equal(endPrice + calcSurcharge(endPrice));
+    });
+
+    it("should charge the current price and refund overpayment", async function () {
+      const elapsed = duration / 2;
+      const expected = priceAt(elapsed);
+      const surcharge = calcSurcharge(expected);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(startTime) + elapsed]);
+      const balBefore = await ethers.provider.getBalance(buyer2.address);
+      const tx = await pool.connect(buyer2).buy(0, { value: startPrice + calcSurcharge(startPrice) });
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
+      const balAfter = await ethers.provider.getBalance(buyer2.address);
+
+      await expect(tx)
+        .to.emit(pool, "Sold")
+        .withArgs(0, buyer1.address, buyer2.address, expected, surcharge, endPrice, calcTickets(surcharge));
+      expect(balBefore - balAfter - gasCost).to.equal(expected + surcharge);
+      expect(await pool.costBasis(0)).to.equal(expected);
+      expect(await ethers.provider.getBalance(await pool.getAddress())).to.equal(
+        (await pool.guaranteePool()) + (await pool.surplusPool())
+      );
+    });
+
+    it("should reject underpayment", async function () {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(startTime) + 100]);
+      const required = priceAt(100) + calcSurcharge(priceAt(100));
+      const paid = endPrice + calcSurcharge(endPrice);
+      await expect(
+        pool.connect(buyer2).buy(0, { value: paid })
+      ).to.be.revertedWithCustomError(pool, "InsufficientPayment")
+        .withArgs(required, paid);
+    });
+
+    it("should reject an end price below cost basis", async function () {
+      await expect(
+        pool.connect(buyer1).listDutch(0, startPrice, endPrice - 1n, duration)
+      ).to.be.revertedWithCustomError(pool, "PriceBelowCostBasis")
+        .withArgs(endPrice - 1n, endPrice);
+      await expect(
+        pool.connect(buyer1).listDutch(0, endPrice, endPrice, duration)
+      ).to.be.revertedWithCustomError(pool, "InvalidDutchPrices")
+        .withArgs(endPrice, endPrice);
+    });
+
+    it("should not allow updatePrice on a Dutch listing", async function () {
+      await expect(
+        pool.connect(buyer1).updatePrice(0, startPrice)
+      ).to.be.revertedWithCustomError(pool, "DutchAuctionListing")
+        .withArgs(0);
+    });
+
+    it("should become a fixed-price listing when relisted", async function () {
+      await pool.connect(buyer1).list(0, startPrice);
+      const listing = await pool.listings(0);
+      expect(listing.startPrice).to.equal(0n);
+      expect(await pool.getCurrentPrice(0)).to.equal(startPrice);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Batch minting & buying
+  // ═══════════════════════════════════════════
+
+  describe("Batch minting & buying", function () {
+    const row = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+    async function totalMintPrice(tokenIds) {
+      let total = 0n;
+      for (const id of tokenIds) total += await pool.mintPriceOf(id);
+      return total;
+    }
+
+    it("should mint a full model row in one transaction", async function () {
+      const total = await totalMintPrice(row);
+      const tx = await pool.connect(buyer1).mintBatch(row, { value: total });
+
+      let expectedTickets = 0n;
+      for (const id of row) {
+        const price = await pool.mintPriceOf(id);
+        const tickets = calcTickets(calcSurcharge(price));
+        expectedTickets += tickets;
+        await expect(tx).to.emit(pool, "Minted").withArgs(buyer1.address, id, price, tickets);
+        expect(await nft.ownerOf(id)).to.equal(buyer1.address);
+        expect(await pool.costBasis(id)).to.equal(price);
+      }
+
+      expect(await pool.totalMinted()).to.equal(11n);
+      expect(await pool.guaranteePool()).to.equal(total);
+      expect(await pool.tickets(buyer1.address)).to.equal(expectedTickets);
       expect(await pool.totalParticipants()).to.equal(1n);
     });
 
-    it("should count participants correctly", async function () {
-      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
-      await pool.connect(buyer2).mint(1, { value: PRICE_COMMON });
-      await pool.connect(buyer3).mint(2, { value: PRICE_COMMON });
+    it("should reject a batch with the wrong total", async function () {
+      const total = await totalMintPrice([0, 1]);
+      await expect(
+        pool.connect(buyer1).mintBatch([0, 1], { value: total - 1n })
+      ).to.be.revertedWithCustomError(pool, "WrongMintPrice")
+        .withArgs(total, total - 1n);
+    });
 
-      expect(await pool.totalParticipants()).to.equal(3n);
+    it("should reject a batch containing a minted token", async function () {
+      const price = await pool.mintPriceOf(0);
+      await pool.connect(buyer2).mint(0, { value: price });
+      const total = await totalMintPrice([0, 1]);
+      await expect(
+        pool.connect(buyer1).mintBatch([0, 1], { value: total })
+      ).to.be.revertedWithCustomError(pool, "TokenAlreadyMinted")
+        .withArgs(0);
+    });
 
-      // buyer2 buys another token — shouldn't increase participant count
+    describe("buyMany", function () {
+      const p0 = ethers.parseEther("0.5");
+      const p1 = ethers.parseEther("0.7");
+      const p2 = ethers.parseEther("0.9");
+
+      beforeEach(async function () {
+        await pool.connect(buyer1).mintBatch([0, 1, 2], { value: await totalMintPrice([0, 1, 2]) });
+        await pool.connect(buyer1).list(0, p0);
+        await pool.connect(buyer1).list(1, p1);
+        await pool.connect(buyer1).list(2, p2);
+      });
+
+      it("should buy every listed token with per-token Sold events", async function () {
+        const total = p0 + calcSurcharge(p0) + p1 + calcSurcharge(p1) + p2 + calcSurcharge(p2);
+        const tx = await pool.connect(buyer2).buyMany([0, 1, 2], total, { value: total });
+
+        for (const [id, p] of [[0, p0], [1, p1], [2, p2]]) {
+          const s = calcSurcharge(p);
+          await expect(tx)
+            .to.emit(pool, "Sold")
+            .withArgs(id, buyer1.address, buyer2.address, p, s, await pool.mintPriceOf(id), calcTickets(s));
+          expect(await nft.ownerOf(id)).to.equal(buyer2.address);
+          expect(await pool.costBasis(id)).to.equal(p);
+        }
+
+        expect(await pool.guaranteePool()).to.equal(p0 + p1 + p2);
+        expect(await pool.surplusPool()).to.equal(calcSurcharge(p0) + calcSurcharge(p1) + calcSurcharge(p2));
+        expect(await pool.tickets(buyer2.address)).to.equal(
+          calcTickets(calcSurcharge(p0)) + calcTickets(calcSurcharge(p1)) + calcTickets(calcSurcharge(p2))
+        );
+      });
+
+      it("should skip delisted and sold tokens and refund the difference", async function () {
+        const budget = p0 + calcSurcharge(p0) + p1 + calcSurcharge(p1) + p2 + calcSurcharge(p2);
+
+        await pool.connect(buyer1).delist(1);
+        await pool.connect(buyer3).buy(2, { value: p2 + calcSurcharge(p2) });
+
+        const balBefore = await ethers.provider.getBalance(buyer2.address);
+        const tx = await pool.connect(buyer2).buyMany([0, 1, 2], budget, { value: budget });
+        const receipt = await tx.wait();
+        const gasCost = receipt.gasUsed * receipt.gasPrice;
+        const balAfter = await ethers.provider.getBalance(buyer2.address);
+
+        expect(balBefore - balAfter - gasCost).to.equal(p0 + calcSurcharge(p0));
+        expect(await nft.ownerOf(0)).to.equal(buyer2.address);
+        expect(await nft.ownerOf(1)).to.equal(buyer1.address);
+        expect(await nft.ownerOf(2)).to.equal(buyer3.address);
+        expect(await ethers.provider.getBalance(await pool.getAddress())).to.equal(
+          (await pool.guaranteePool()) + (await pool.surplusPool())
+        );
+      });
+
+      it("should revert when the total exceeds maxTotal", async function () {
+        const expected = p0 + calcSurcharge(p0);
+        // Seller reprices upward before the batch lands
+        await pool.connect(buyer1).list(0, p0 * 2n);
+        await expect(
+          pool.connect(buyer2).buyMany([0], expected, { value: expected * 3n })
+        ).to.be.revertedWithCustomError(pool, "MaxTotalExceeded")
+          .withArgs(p0 * 2n + calcSurcharge(p0 * 2n), expected);
+      });
+
+      it("should revert when payment does not cover the purchases", async function () {
+        const expected = p0 + calcSurcharge(p0);
+        await expect(
+          pool.connect(buyer2).buyMany([0], expected, { value: expected - 1n })
+        ).to.be.revertedWithCustomError(pool, "InsufficientPayment")
+          .withArgs(expected, expected - 1n);
+      });
+
+      it("should not let a seller initiate the trigger in the middle of a batch", async function () {
+        const Seller = await ethers.getContractFactory("ReentrantSeller");
+        const seller = await Seller.deploy(await pool.getAddress());
+        await seller.mint(3, { value: await pool.mintPriceOf(3) });
+        await seller.list(3, p0);
+        await priceFeed.setPrice(1000000000000n); // $10,000
+
+        const total = p0 + calcSurcharge(p0) + p1 + calcSurcharge(p1);
+        await pool.connect(buyer2).buyMany([3, 1], total, { value: total });
+
+        expect(await seller.reentered()).to.equal(false);
+        expect(await pool.triggerState()).to.equal(0);
+        expect(await nft.ownerOf(1)).to.equal(buyer2.address);
+        expect(await pool.pendingWithdrawals(await seller.getAddress())).to.equal(0n);
+        await expect(pool.initiateTrigger()).to.emit(pool, "TriggerInitiated");
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Owner index
+  // ═══════════════════════════════════════════
+
+  describe("Owner index", function () {
+    let mintPrice;
+
+    beforeEach(async function () {
+      mintPrice = await pool.mintPriceOf(0);
+      await pool.connect(buyer1).mintBatch([0, 1, 2], { value: mintPrice * 3n });
+    });
+
+    it("should track tokens and cost basis on mint", async function () {
+      expect(await pool.tokensOfOwner(buyer1.address)).to.deep.equal([0n, 1n, 2n]);
+      expect(await pool.costBasisOf(buyer1.address)).to.equal(mintPrice * 3n);
+      expect(await pool.tokensOfOwner(buyer2.address)).to.deep.equal([]);
+    });
+
+    it("should move tokens and cost basis on sale", async function () {
       const p = ethers.parseEther("0.5");
-      await pool.connect(buyer1).list(0, p);
-      await pool.connect(buyer2).buy(0, { value: p + calcSurcharge(p) });
+      await pool.connect(buyer1).list(1, p);
+      await pool.connect(buyer2).buy(1, { value: p + calcSurcharge(p) });
+
+      const held = (await pool.tokensOfOwner(buyer1.address)).map(Number).sort();
+      expect(held).to.deep.equal([0, 2]);
+      expect(await pool.tokensOfOwner(buyer2.address)).to.deep.equal([1n]);
+      expect(await pool.costBasisOf(buyer1.address)).to.equal(mintPrice * 2n);
+      expect(await pool.costBasisOf(buyer2.address)).to.equal(p);
+    });
 
-      expect(await pool.totalParticipants()).to.equal(3n); // Still 3
+    it("should pay held cost basis on distribution and allow sweep", async function () {
+      const p = ethers.parseEther("0.5");
+      await pool.connect(buyer1).list(1, p);
+      await pool.connect(buyer2).buy(1, { value: p + calcSurcharge(p) });
+
+      const [, estimate] = await pool.estimatePayout(buyer1.address);
+      expect(estimate).to.equal(mintPrice * 2n);
+
+      await triggerAndFinalize();
+
+      await expect(pool.connect(outsider).distributeFor(buyer1.address))
+        .to.emit(pool, "Distributed")
+        .withArgs(buyer1.address, (await pool.estimatePayout(buyer1.address))[0], mintPrice * 2n);
+      expect(await pool.costBasisClaimed(0)).to.equal(true);
+      expect(await pool.costBasisClaimed(1)).to.equal(false);
+
+      await pool.connect(outsider).distributeCreator();
+      await expect(pool.connect(creator).sweepDust())
+        .to.be.revertedWithCustomError(pool, "BonusesPending")
+        .withArgs(1, 2);
+
+      await pool.connect(outsider).distributeFor(buyer2.address);
+      expect(await pool.costBasesDistributed()).to.equal(3n);
+      await pool.connect(creator).sweepDust();
     });
+  });
 
-    it("should track total tickets correctly", async function () {
-      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON }); // 3
-      await pool.connect(buyer2).mint(22, { value: PRICE_STANDARD }); // 5
+  // ═══════════════════════════════════════════
+  //  Provenance
+  // ═══════════════════════════════════════════
 
-      // Resale: buyer1 → buyer3 at 0.2 ETH
-      const p = ethers.parseEther("0.2");
-      const s = calcSurcharge(p);
-      const resaleTickets = calcTickets(s);
+  describe("Provenance", function () {
+    let mintPrice;
+
+    beforeEach(async function () {
+      mintPrice = await pool.mintPriceOf(0);
+      await pool.connect(buyer1).mint(0, { value: mintPrice });
+    });
+
+    it("should record the mint as the first sale", async function () {
+      expect(await poolViews.saleCount(0)).to.equal(1n);
+      expect(await poolViews.saleCount(1)).to.equal(0n);
+
+      const [mint] = await poolViews.getProvenance(0, 0, 10);
+      const block = await ethers.provider.getBlock("latest");
+      expect(mint.buyer).to.equal(buyer1.address);
+      expect(mint.price).to.equal(mintPrice);
+      expect(mint.surcharge).to.equal(0n);
+      expect(mint.timestamp).to.equal(block.timestamp);
+    });
+
+    it("should append each resale with its surcharge", async function () {
+      const p1 = ethers.parseEther("0.5");
+      await pool.connect(buyer1).list(0, p1);
+      await pool.connect(buyer2).buy(0, { value: p1 + calcSurcharge(p1) });
+      const p2 = ethers.parseEther("0.8");
+      await pool.connect(buyer2).list(0, p2);
+      await pool.connect(buyer3).buy(0, { value: p2 + calcSurcharge(p2) });
+
+      expect(await poolViews.saleCount(0)).to.equal(3n);
+      const sales = await poolViews.getProvenance(0, 0, 10);
+      expect(sales.map((s) => s.buyer)).to.deep.equal([buyer1.address, buyer2.address, buyer3.address]);
+      expect(sales[1].price).to.equal(p1);
+      expect(sales[1].surcharge).to.equal(calcSurcharge(p1));
+      expect(sales[2].price).to.equal(p2);
+      expect(sales[2].surcharge).to.equal(calcSurcharge(p2));
+      expect(sales[2].timestamp).to.be.gte(sales[1].timestamp);
+    });
+
+    it("should paginate with offset and limit", async function () {
+      const p = ethers.parseEther("0.5");
       await pool.connect(buyer1).list(0, p);
-      await pool.connect(buyer3).buy(0, { value: p + s });
+      await pool.connect(buyer2).buy(0, { value: p + calcSurcharge(p) });
 
-      expect(await pool.totalTickets()).to.equal(3n + 5n + resaleTickets);
+      const page = await poolViews.getProvenance(0, 1, 1);
+      expect(page.length).to.equal(1);
+      expect(page[0].buyer).to.equal(buyer2.address);
+      expect((await poolViews.getProvenance(0, 1, 100)).length).to.equal(1);
+      expect((await poolViews.getProvenance(0, 2, 1)).length).to.equal(0);
+      expect((await poolViews.getProvenance(0, 0, 0)).length).to.equal(0);
+      expect((await poolViews.getProvenance(5, 0, 10)).length).to.equal(0);
     });
   });
 
   // ═══════════════════════════════════════════
-  //  Trigger
+  //  Listing & participant views
   // ═══════════════════════════════════════════
 
-  describe("Trigger mechanism", function () {
+  describe("Listing & participant views", function () {
+    let mintPrice;
+
     beforeEach(async function () {
-      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
-      await pool.connect(buyer2).mint(1, { value: PRICE_COMMON });
+      mintPrice = await pool.mintPriceOf(0);
+      await pool.connect(buyer1).mintBatch([0, 1, 2], { value: mintPrice * 3n });
     });
 
-    it("should reject trigger if ETH < $10,000", async function () {
-      await expect(pool.initiateTrigger()).to.be.revertedWith(
-        "ETH below $10,000 and deadline not reached"
-      );
+    it("should list token, seller, price and buy price", async function () {
+      const p = ethers.parseEther("0.5");
+      await pool.connect(buyer1).list(1, p);
+
+      expect(await poolViews.activeListingCount()).to.equal(1n);
+      const [listing] = await poolViews.getActiveListings(0, 10);
+      expect(listing.tokenId).to.equal(1n);
+      expect(listing.seller).to.equal(buyer1.address);
+      expect(listing.price).to.equal(p);
+      expect(listing.buyPrice).to.equal(p + calcSurcharge(p));
+      expect(listing.expiresAt).to.equal(0n);
+      expect(listing.reservedFor).to.equal(ethers.ZeroAddress);
     });
 
-    it("should initiate trigger when ETH >= $10,000", async function () {
-      await priceFeed.setPrice(1000000000000n);
-      await pool.initiateTrigger();
-      expect(await pool.triggerState()).to.equal(1);
+    it("should keep expired listings with their expiry until delisted", async function () {
+      const p = ethers.parseEther("0.5");
+      const expiresAt = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await pool.connect(buyer1).listWithTerms(1, p, expiresAt, buyer2.address);
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await poolViews.activeListingCount()).to.equal(1n);
+      const [listing] = await poolViews.getActiveListings(0, 10);
+      expect(listing.expiresAt).to.equal(expiresAt);
+      expect(listing.reservedFor).to.equal(buyer2.address);
+      await expect(pool.connect(buyer2).buy(1, { value: listing.buyPrice }))
+        .to.be.revertedWithCustomError(pool, "ListingExpired")
+        .withArgs(1, expiresAt);
+
+      await pool.connect(buyer1).delist(1);
+      expect(await poolViews.activeListingCount()).to.equal(0n);
     });
 
-    it("should freeze marketplace during trigger", async function () {
-      await priceFeed.setPrice(1000000000000n);
-      await pool.initiateTrigger();
+    it("should drop listings on delist, buy and auction", async function () {
+      const p = ethers.parseEther("0.5");
+      await pool.connect(buyer1).list(0, p);
+      await pool.connect(buyer1).list(1, p);
+      await pool.connect(buyer1).list(2, p);
+      expect(await poolViews.activeListingCount()).to.equal(3n);
 
-      await expect(
-        pool.connect(buyer3).mint(3, { value: PRICE_COMMON })
-      ).to.be.revertedWith("Trigger active");
+      await pool.connect(buyer1).delist(0);
+      await pool.connect(buyer2).buy(1, { value: p + calcSurcharge(p) });
+      await poolExt.connect(buyer1).createAuction(2, p, 3600);
 
-      await expect(
-        pool.connect(buyer1).list(0, ethers.parseEther("1.0"))
-      ).to.be.revertedWith("Trigger active");
+      expect(await poolViews.activeListingCount()).to.equal(0n);
+      expect(await poolViews.getActiveListings(0, 10)).to.deep.equal([]);
+    });
+
+    it("should keep one entry per token when relisted and paginate", async function () {
+      await pool.connect(buyer1).list(0, ethers.parseEther("0.5"));
+      await pool.connect(buyer1).list(0, ethers.parseEther("0.6"));
+      await pool.connect(buyer1).list(1, ethers.parseEther("0.5"));
+      expect(await poolViews.activeListingCount()).to.equal(2n);
+
+      const page = await poolViews.getActiveListings(1, 5);
+      expect(page.length).to.equal(1);
+      expect(page[0].tokenId).to.equal(1n);
+      expect((await poolViews.getActiveListings(2, 5)).length).to.equal(0);
+    });
+
+    it("should list participants with tickets and claim status", async function () {
+      await pool.connect(buyer2).mint(3, { value: await pool.mintPriceOf(3) });
+
+      let participants = await poolViews.getParticipants(0, 10);
+      expect(participants.map((p) => p.account)).to.deep.equal([buyer1.address, buyer2.address]);
+      expect(participants[0].tickets).to.equal(await pool.tickets(buyer1.address));
+      expect(participants[1].claimed).to.equal(false);
+      expect((await poolViews.getParticipants(1, 1))[0].account).to.equal(buyer2.address);
+
+      await triggerAndFinalize();
+      await pool.connect(outsider).distributeFor(buyer2.address);
+      participants = await poolViews.getParticipants(0, 10);
+      expect(participants[0].claimed).to.equal(false);
+      expect(participants[1].claimed).to.equal(true);
+    });
+
+    it("should follow a wallet migration", async function () {
+      await poolExt.connect(buyer1).migrateAccount(buyer3.address);
+      await poolExt.connect(buyer3).acceptMigration(buyer1.address);
+
+      const participants = await poolViews.getParticipants(0, 10);
+      expect(participants.map((p) => p.account)).to.deep.equal([buyer3.address]);
+      expect(await pool.totalParticipants()).to.equal(1n);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Historical snapshots
+  // ═══════════════════════════════════════════
+
+  describe("Historical snapshots", function () {
+    it("should return pool stats and tickets as of past blocks", async function () {
+      const mintPrice = await pool.mintPriceOf(0);
+      const before = await ethers.provider.getBlockNumber();
+      await pool.connect(buyer1).mint(0, { value: mintPrice });
+      const afterMint = await ethers.provider.getBlockNumber();
+      const mintTickets = await pool.tickets(buyer1.address);
+
+      const p = ethers.parseEther("0.5");
+      await pool.connect(buyer1).list(0, p);
+      await pool.connect(buyer2).buy(0, { value: p + calcSurcharge(p) });
+      const afterSale = await ethers.provider.getBlockNumber();
+      await ethers.provider.send("evm_mine");
+
+      expect(await poolViews.getPoolStatsAt(before)).to.deep.equal([0n, 0n, 0n, 0n]);
+
+      let stats = await poolViews.getPoolStatsAt(afterMint);
+      expect(stats._guaranteePool).to.equal(mintPrice);
+      expect(stats._surplusPool).to.equal(0n);
+      expect(stats._totalTickets).to.equal(mintTickets);
+      expect(stats.bonusPerTicket).to.equal(0n);
+
+      stats = await poolViews.getPoolStatsAt(afterSale);
+      const [guarantee, surplus, , , total] = await pool.getPoolStats();
+      expect(stats._guaranteePool).to.equal(guarantee);
+      expect(stats._surplusPool).to.equal(surplus);
+      expect(stats._totalTickets).to.equal(total);
+      expect(stats.bonusPerTicket).to.equal((surplus * (BPS - CREATOR_FEE_BPS)) / BPS / total);
+
+      expect(await poolViews.ticketsAt(buyer2.address, afterMint)).to.equal(0n);
+      expect(await poolViews.ticketsAt(buyer2.address, afterSale)).to.equal(await pool.tickets(buyer2.address));
+      expect(await poolViews.ticketsAt(buyer1.address, afterMint)).to.equal(mintTickets);
+    });
+
+    it("should reject lookups of the current block", async function () {
+      const current = await ethers.provider.getBlockNumber();
+      await expect(poolViews.getPoolStatsAt(current))
+        .to.be.revertedWithCustomError(pool, "FutureLookup")
+        .withArgs(current, current);
+      await expect(poolViews.ticketsAt(buyer1.address, current + 1))
+        .to.be.revertedWithCustomError(pool, "FutureLookup")
+        .withArgs(current + 1, current);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Offers
+  // ═══════════════════════════════════════════
+
+  describe("Offers", function () {
+    let mintPrice, expiresAt;
+
+    beforeEach(async function () {
+      mintPrice = await pool.mintPriceOf(0);
+      await pool.connect(buyer1).mint(0, { value: mintPrice });
+      const block = await ethers.provider.getBlock("latest");
+      expiresAt = block.timestamp + 86400;
+    });
+
+    it("should escrow an offer outside both pools", async function () {
+      const price = ethers.parseEther("0.5");
+      const escrow = price + calcSurcharge(price);
+
+      await expect(poolExt.connect(buyer2).makeOffer(0, price, expiresAt, { value: escrow }))
+        .to.emit(pool, "OfferMade")
+        .withArgs(0, 0, buyer2.address, price, expiresAt);
+
+      const offer = await pool.offers(0, 0);
+      expect(offer.buyer).to.equal(buyer2.address);
+      expect(offer.price).to.equal(price);
+      expect(offer.active).to.equal(true);
+      expect(await pool.offerCount(0)).to.equal(1n);
+      expect(await pool.totalOfferEscrow()).to.equal(escrow);
+      expect(await pool.guaranteePool()).to.equal(mintPrice);
+      expect(await pool.surplusPool()).to.equal(0n);
+    });
+
+    it("should reject offers below cost basis or with wrong escrow", async function () {
+      await expect(
+        poolExt.connect(buyer2).makeOffer(0, mintPrice - 1n, expiresAt, { value: mintPrice })
+      ).to.be.revertedWithCustomError(pool, "PriceBelowCostBasis")
+        .withArgs(mintPrice - 1n, mintPrice);
+
+      const price = ethers.parseEther("0.5");
+      await expect(
+        poolExt.connect(buyer2).makeOffer(0, price, expiresAt, { value: price })
+      ).to.be.revertedWithCustomError(pool, "WrongPayment")
+        .withArgs(price + calcSurcharge(price), price);
+    });
+
+    it("should reject offers on unminted or own tokens", async function () {
+      const price = ethers.parseEther("0.5");
+      const escrow = price + calcSurcharge(price);
+      await expect(
+        poolExt.connect(buyer2).makeOffer(1, price, expiresAt, { value: escrow })
+      ).to.be.revertedWithCustomError(pool, "TokenNotMinted")
+        .withArgs(1);
+      await expect(
+        poolExt.connect(buyer1).makeOffer(0, price, expiresAt, { value: escrow })
+      ).to.be.revertedWithCustomError(pool, "CannotBuyOwnToken")
+        .withArgs(0);
+    });
+
+    it("should settle an accepted offer exactly like buy", async function () {
+      const price = ethers.parseEther("0.5");
+      const surcharge = calcSurcharge(price);
+      await poolExt.connect(buyer2).makeOffer(0, price, expiresAt, { value: price + surcharge });
+
+      const sellerBalBefore = await ethers.provider.getBalance(buyer1.address);
+      const tx = await poolExt.connect(buyer1).acceptOffer(0, 0);
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
+      const sellerBalAfter = await ethers.provider.getBalance(buyer1.address);
+
+      await expect(tx)
+        .to.emit(pool, "Sold")
+        .withArgs(0, buyer1.address, buyer2.address, price, surcharge, mintPrice, calcTickets(surcharge));
+
+      expect(await nft.ownerOf(0)).to.equal(buyer2.address);
+      expect(await pool.costBasis(0)).to.equal(price);
+      expect(await pool.guaranteePool()).to.equal(price);
+      expect(await pool.surplusPool()).to.equal(surcharge);
+      expect(await pool.totalOfferEscrow()).to.equal(0n);
+      expect(await pool.tickets(buyer2.address)).to.equal(calcTickets(surcharge));
+      expect(sellerBalAfter - sellerBalBefore + gasCost).to.equal(mintPrice);
+      expect((await pool.offers(0, 0)).active).to.equal(false);
+    });
+
+    it("should clear an active listing when an offer is accepted", async function () {
+      const price = ethers.parseEther("0.5");
+      await pool.connect(buyer1).list(0, ethers.parseEther("2.0"));
+      await poolExt.connect(buyer2).makeOffer(0, price, expiresAt, { value: price + calcSurcharge(price) });
+      await poolExt.connect(buyer1).acceptOffer(0, 0);
+
+      expect((await pool.listings(0)).active).to.equal(false);
+    });
+
+    it("should only let the current owner accept", async function () {
+      const price = ethers.parseEther("0.5");
+      await poolExt.connect(buyer2).makeOffer(0, price, expiresAt, { value: price + calcSurcharge(price) });
+      await expect(poolExt.connect(buyer3).acceptOffer(0, 0))
+        .to.be.revertedWithCustomError(pool, "NotTokenOwner")
+        .withArgs(0, buyer1.address);
+    });
+
+    it("should reject accepting an expired offer", async function () {
+      const price = ethers.parseEther("0.5");
+      await poolExt.connect(buyer2).makeOffer(0, price, expiresAt, { value: price + calcSurcharge(price) });
+      await ethers.provider.send("evm_increaseTime", [86401]);
+      await ethers.provider.send("evm_mine");
+      await expect(poolExt.connect(buyer1).acceptOffer(0, 0))
+        .to.be.revertedWithCustomError(pool, "OfferExpired")
+        .withArgs(0, 0, expiresAt);
+    });
+
+    it("should reject an offer that fell below a newer cost basis", async function () {
+      const low = ethers.parseEther("0.3");
+      await poolExt.connect(buyer3).makeOffer(0, low, expiresAt, { value: low + calcSurcharge(low) });
+
+      // Token resold above the offer price
+      const p = ethers.parseEther("0.5");
+      await pool.connect(buyer1).list(0, p);
+      await pool.connect(buyer2).buy(0, { value: p + calcSurcharge(p) });
+
+      await expect(poolExt.connect(buyer2).acceptOffer(0, 0))
+        .to.be.revertedWithCustomError(pool, "PriceBelowCostBasis")
+        .withArgs(low, p);
+    });
+
+    it("should refund the full escrow on cancel", async function () {
+      const price = ethers.parseEther("0.5");
+      const escrow = price + calcSurcharge(price);
+      await poolExt.connect(buyer2).makeOffer(0, price, expiresAt, { value: escrow });
+
+      await expect(poolExt.connect(buyer3).cancelOffer(0, 0))
+        .to.be.revertedWithCustomError(pool, "NotOfferMaker")
+        .withArgs(0, 0);
+
+      const balBefore = await ethers.provider.getBalance(buyer2.address);
+      const tx = await poolExt.connect(buyer2).cancelOffer(0, 0);
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
+      const balAfter = await ethers.provider.getBalance(buyer2.address);
+
+      expect(balAfter - balBefore + gasCost).to.equal(escrow);
+      expect(await pool.totalOfferEscrow()).to.equal(0n);
+      await expect(poolExt.connect(buyer2).cancelOffer(0, 0))
+        .to.be.revertedWithCustomError(pool, "OfferNotActive")
+        .withArgs(0, 0);
+    });
+
+    it("should let a maker that cannot receive ETH refund the escrow elsewhere", async function () {
+      // An offer from a contract without receive(), made by impersonating it
+      const RejectETH = await ethers.getContractFactory("RejectETH");
+      const maker = await RejectETH.deploy();
+      const makerAddress = await maker.getAddress();
+      await ethers.provider.send("hardhat_impersonateAccount", [makerAddress]);
+      await ethers.provider.send("hardhat_setBalance", [makerAddress, "0xde0b6b3a7640000"]);
+      const makerSigner = await ethers.getSigner(makerAddress);
+
+      const price = ethers.parseEther("0.5");
+      const escrow = price + calcSurcharge(price);
+      await poolExt.connect(makerSigner).makeOffer(0, price, expiresAt, { value: escrow });
+
+      await expect(poolExt.connect(makerSigner).cancelOffer(0, 0))
+        .to.be.revertedWithCustomError(pool, "TransferFailed")
+        .withArgs(makerAddress, escrow);
+      await expect(poolExt.connect(makerSigner).cancelOfferTo(0, 0, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(pool, "InvalidRecipient")
+        .withArgs(ethers.ZeroAddress);
+      await expect(poolExt.connect(buyer3).cancelOfferTo(0, 0, buyer3.address))
+        .to.be.revertedWithCustomError(pool, "NotOfferMaker")
+        .withArgs(0, 0);
+
+      const tx = poolExt.connect(makerSigner).cancelOfferTo(0, 0, outsider.address);
+      await expect(tx).to.emit(pool, "OfferCancelled").withArgs(0, 0, makerAddress, escrow);
+      await expect(tx).to.changeEtherBalances([outsider, pool], [escrow, -escrow]);
+      expect(await pool.totalOfferEscrow()).to.equal(0n);
+      expect(await pool.totalPendingWithdrawals()).to.equal(0n);
+      await ethers.provider.send("hardhat_stopImpersonatingAccount", [makerAddress]);
+    });
+
+    it("should keep offers refundable after the trigger", async function () {
+      const price = ethers.parseEther("0.5");
+      const escrow = price + calcSurcharge(price);
+      await poolExt.connect(buyer2).makeOffer(0, price, expiresAt, { value: escrow });
+
+      await triggerAndFinalize();
+      await expect(poolExt.connect(buyer1).acceptOffer(0, 0)).to.be.revertedWithCustomError(pool, "TriggerActive");
+
+      await pool.connect(outsider).distributeFor(buyer1.address);
+      await pool.connect(outsider).distributeCreator();
+      await pool.connect(creator).sweepDust();
+
+      // Sweep leaves the escrow in place
+      expect(await ethers.provider.getBalance(await pool.getAddress())).to.equal(escrow);
+      await expect(poolExt.connect(buyer2).cancelOffer(0, 0))
+        .to.emit(pool, "OfferCancelled")
+        .withArgs(0, 0, buyer2.address, escrow);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  English auctions
+  // ═══════════════════════════════════════════
+
+  describe("English auctions", function () {
+    const DURATION = 86400;
+    let mintPrice;
+
+    beforeEach(async function () {
+      mintPrice = await pool.mintPriceOf(0);
+      await pool.connect(buyer1).mint(0, { value: mintPrice });
+    });
+
+    function escrowFor(price) {
+      return price + calcSurcharge(price);
+    }
+
+    it("should create an auction with a reserve at or above cost basis", async function () {
+      await expect(
+        poolExt.connect(buyer1).createAuction(0, mintPrice - 1n, DURATION)
+      ).to.be.revertedWithCustomError(pool, "PriceBelowCostBasis")
+        .withArgs(mintPrice - 1n, mintPrice);
+      await expect(
+        poolExt.connect(buyer2).createAuction(0, mintPrice, DURATION)
+      ).to.be.revertedWithCustomError(pool, "NotTokenOwner")
+        .withArgs(0, buyer1.address);
+      await expect(
+        poolExt.connect(buyer1).createAuction(0, mintPrice, 0)
+      ).to.be.revertedWithCustomError(pool, "InvalidDuration");
+
+      const tx = await poolExt.connect(buyer1).createAuction(0, mintPrice, DURATION);
+      const block = await ethers.provider.getBlock(tx.blockNumber);
+      await expect(tx)
+        .to.emit(poolExt, "AuctionCreated")
+        .withArgs(0, buyer1.address, mintPrice, block.timestamp + DURATION);
+
+      const auction = await pool.auctions(0);
+      expect(auction.seller).to.equal(buyer1.address);
+      expect(auction.active).to.equal(true);
+    });
+
+    it("should replace a listing and block listing or offers while active", async function () {
+      await pool.connect(buyer1).list(0, ethers.parseEther("1"));
+      await expect(poolExt.connect(buyer1).createAuction(0, mintPrice, DURATION))
+        .to.emit(pool, "Delisted")
+        .withArgs(0);
+      expect((await pool.listings(0)).active).to.equal(false);
+
+      await expect(
+        pool.connect(buyer1).list(0, ethers.parseEther("1"))
+      ).to.be.revertedWithCustomError(pool, "AuctionActive")
+        .withArgs(0);
+      await expect(
+        poolExt.connect(buyer1).createAuction(0, mintPrice, DURATION)
+      ).to.be.revertedWithCustomError(pool, "AuctionActive")
+        .withArgs(0);
+
+      const block = await ethers.provider.getBlock("latest");
+      const price = ethers.parseEther("0.5");
+      await poolExt.connect(buyer2).makeOffer(0, price, block.timestamp + DURATION, { value: escrowFor(price) });
+      await expect(poolExt.connect(buyer1).acceptOffer(0, 0))
+        .to.be.revertedWithCustomError(pool, "AuctionActive")
+        .withArgs(0);
+    });
+
+    it("should escrow bids and refund the outbid bidder via pendingWithdrawals", async function () {
+      await poolExt.connect(buyer1).createAuction(0, mintPrice, DURATION);
+
+      await expect(
+        poolExt.connect(buyer2).bid(0, mintPrice - 1n, { value: escrowFor(mintPrice - 1n) })
+      ).to.be.revertedWithCustomError(pool, "BidBelowReserve")
+        .withArgs(mintPrice - 1n, mintPrice);
+      await expect(
+        poolExt.connect(buyer2).bid(0, mintPrice, { value: mintPrice })
+      ).to.be.revertedWithCustomError(pool, "WrongPayment")
+        .withArgs(escrowFor(mintPrice), mintPrice);
+      await expect(
+        poolExt.connect(buyer1).bid(0, mintPrice, { value: escrowFor(mintPrice) })
+      ).to.be.revertedWithCustomError(pool, "CannotBuyOwnToken")
+        .withArgs(0);
+
+      const first = ethers.parseEther("0.1");
+      await poolExt.connect(buyer2).bid(0, first, { value: escrowFor(first) });
+      expect(await pool.totalAuctionEscrow()).to.equal(escrowFor(first));
+      expect(await pool.guaranteePool()).to.equal(mintPrice);
+
+      // Needs 5% over the leading bid
+      const tooLow = (first * 10499n) / 10000n;
+      await expect(
+        poolExt.connect(buyer3).bid(0, tooLow, { value: escrowFor(tooLow) })
+      ).to.be.revertedWithCustomError(pool, "BidIncrementTooLow")
+        .withArgs(tooLow, (first * 10500n) / 10000n);
+
+      const second = (first * 105n) / 100n;
+      await expect(poolExt.connect(buyer3).bid(0, second, { value: escrowFor(second) }))
+        .to.emit(pool, "PendingWithdrawal")
+        .withArgs(buyer2.address, escrowFor(first));
+
+      expect(await pool.pendingWithdrawals(buyer2.address)).to.equal(escrowFor(first));
+      expect(await pool.totalAuctionEscrow()).to.equal(escrowFor(second));
+
+      const balBefore = await ethers.provider.getBalance(buyer2.address);
+      const tx = await pool.connect(buyer2).withdraw();
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
+      const balAfter = await ethers.provider.getBalance(buyer2.address);
+      expect(balAfter - balBefore + gasCost).to.equal(escrowFor(first));
+    });
+
+    it("should extend the auction when a bid lands near the end", async function () {
+      await poolExt.connect(buyer1).createAuction(0, mintPrice, DURATION);
+      const endTime = (await pool.auctions(0)).endTime;
+
+      // Early bid leaves the end time alone
+      await poolExt.connect(buyer2).bid(0, mintPrice, { value: escrowFor(mintPrice) });
+      expect((await pool.auctions(0)).endTime).to.equal(endTime);
+
+      const lateBidAt = Number(endTime) - 60;
+      await ethers.provider.send("evm_setNextBlockTimestamp", [lateBidAt]);
+      const price = mintPrice * 2n;
+      await expect(poolExt.connect(buyer3).bid(0, price, { value: escrowFor(price) }))
+        .to.emit(poolExt, "AuctionExtended")
+        .withArgs(0, lateBidAt + 600);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [lateBidAt + 599]);
+      await expect(poolExt.settleAuction(0))
+        .to.be.revertedWithCustomError(pool, "AuctionNotEnded")
+        .withArgs(0, lateBidAt + 600);
+    });
+
+    it("should settle the winning bid exactly like buy", async function () {
+      await poolExt.connect(buyer1).createAuction(0, mintPrice, DURATION);
+      const price = ethers.parseEther("0.5");
+      const surcharge = calcSurcharge(price);
+      await poolExt.connect(buyer2).bid(0, price, { value: price + surcharge });
+
+      await expect(poolExt.settleAuction(0))
+        .to.be.revertedWithCustomError(pool, "AuctionNotEnded")
+        .withArgs(0, (await pool.auctions(0)).endTime);
+      await ethers.provider.send("evm_increaseTime", [DURATION]);
+      await ethers.provider.send("evm_mine");
+
+      const sellerBalBefore = await ethers.provider.getBalance(buyer1.address);
+      const tx = await poolExt.connect(outsider).settleAuction(0);
+      await expect(tx)
+        .to.emit(pool, "Sold")
+        .withArgs(0, buyer1.address, buyer2.address, price, surcharge, mintPrice, calcTickets(surcharge));
+      await expect(tx)
+        .to.emit(poolExt, "AuctionSettled")
+        .withArgs(0, buyer1.address, buyer2.address, price);
+
+      expect(await ethers.provider.getBalance(buyer1.address) - sellerBalBefore).to.equal(mintPrice);
+      expect(await nft.ownerOf(0)).to.equal(buyer2.address);
+      expect(await pool.costBasis(0)).to.equal(price);
+      expect(await pool.guaranteePool()).to.equal(price);
+      expect(await pool.surplusPool()).to.equal(surcharge);
+      expect(await pool.totalAuctionEscrow()).to.equal(0n);
+      expect(await pool.tickets(buyer2.address)).to.equal(calcTickets(surcharge));
+      expect((await pool.auctions(0)).active).to.equal(false);
+    });
+
+    it("should close an auction without bids and allow seller cancellation before bids", async function () {
+      await poolExt.connect(buyer1).createAuction(0, mintPrice, DURATION);
+      await expect(poolExt.connect(buyer2).cancelAuction(0))
+        .to.be.revertedWithCustomError(pool, "NotAuctionSeller")
+        .withArgs(0, buyer1.address);
+      await expect(poolExt.connect(buyer1).cancelAuction(0))
+        .to.emit(poolExt, "AuctionCancelled")
+        .withArgs(0);
+
+      await poolExt.connect(buyer1).createAuction(0, mintPrice, DURATION);
+      await ethers.provider.send("evm_increaseTime", [DURATION]);
+      await ethers.provider.send("evm_mine");
+      await poolExt.settleAuction(0);
+      expect(await nft.ownerOf(0)).to.equal(buyer1.address);
+
+      await poolExt.connect(buyer1).createAuction(0, mintPrice, DURATION);
+      await poolExt.connect(buyer2).bid(0, mintPrice, { value: escrowFor(mintPrice) });
+      await expect(poolExt.connect(buyer1).cancelAuction(0))
+        .to.be.revertedWithCustomError(pool, "AuctionHasBids")
+        .withArgs(0);
+    });
+
+    it("should cancel open auctions and refund bids when the trigger fires", async function () {
+      const mintPrice1 = await pool.mintPriceOf(1);
+      await pool.connect(buyer2).mint(1, { value: mintPrice1 });
+      await poolExt.connect(buyer1).createAuction(0, mintPrice, DURATION);
+      await poolExt.connect(buyer2).createAuction(1, mintPrice1, DURATION);
+      const price = ethers.parseEther("0.5");
+      await poolExt.connect(buyer3).bid(0, price, { value: escrowFor(price) });
+
+      await priceFeed.setPrice(1000000000000n); // $10,000
+      await expect(pool.initiateTrigger())
+        .to.emit(pool, "AuctionCancelled")
+        .withArgs(1);
+
+      expect((await pool.auctions(0)).active).to.equal(false);
+      expect((await pool.auctions(1)).active).to.equal(false);
+      expect(await pool.pendingWithdrawals(buyer3.address)).to.equal(escrowFor(price));
+      expect(await pool.totalAuctionEscrow()).to.equal(0n);
+      await expect(
+        poolExt.connect(outsider).bid(0, price, { value: escrowFor(price) })
+      ).to.be.revertedWithCustomError(pool, "TriggerActive");
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Signed orders (EIP-712)
+  // ═══════════════════════════════════════════
+
+  describe("Signed orders", function () {
+    const ORDER_TYPES = {
+      SellOrder: [
+        { name: "seller", type: "address" },
+        { name: "tokenId", type: "uint256" },
+        { name: "price", type: "uint256" },
+        { name: "expiresAt", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "taker", type: "address" },
+      ],
+    };
+    let mintPrice, domain;
+
+    beforeEach(async function () {
+      mintPrice = await pool.mintPriceOf(0);
+      await pool.connect(buyer1).mint(0, { value: mintPrice });
+      domain = {
+        name: "Inner Models",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await pool.getAddress(),
+      };
+    });
+
+    async function signOrder(signer, fields) {
+      const order = {
+        seller: signer.address,
+        tokenId: 0,
+        price: ethers.parseEther("0.5"),
+        expiresAt: 0,
+        nonce: 0,
+        taker: ethers.ZeroAddress,
+        ...fields,
+      };
+      const signature = await signer.signTypedData(domain, ORDER_TYPES, order);
+      return { order, signature };
+    }
+
+    it("should fill a signed order exactly like buy", async function () {
+      const { order, signature } = await signOrder(buyer1);
+      const surcharge = calcSurcharge(order.price);
+      const orderHash = await poolExt.getOrderHash(order);
+      expect(orderHash).to.equal(ethers.TypedDataEncoder.hash(domain, ORDER_TYPES, order));
+
+      const sellerBalBefore = await ethers.provider.getBalance(buyer1.address);
+      const tx = await poolExt.connect(buyer2).fillOrder(order, signature, { value: order.price + surcharge });
+      await expect(tx)
+        .to.emit(poolExt, "OrderFilled")
+        .withArgs(orderHash, 0, buyer1.address, buyer2.address, order.price);
+      await expect(tx)
+        .to.emit(pool, "Sold")
+        .withArgs(0, buyer1.address, buyer2.address, order.price, surcharge, mintPrice, calcTickets(surcharge));
+
+      expect(await ethers.provider.getBalance(buyer1.address) - sellerBalBefore).to.equal(mintPrice);
+      expect(await nft.ownerOf(0)).to.equal(buyer2.address);
+      expect(await pool.costBasis(0)).to.equal(order.price);
+      expect(await pool.guaranteePool()).to.equal(order.price);
+      expect(await pool.surplusPool()).to.equal(surcharge);
+      expect(await pool.tickets(buyer2.address)).to.equal(calcTickets(surcharge));
+      expect(await pool.orderInvalidated(orderHash)).to.equal(true);
+    });
+
+    it("should not fill an order twice", async function () {
+      const { order, signature } = await signOrder(buyer1);
+      const value = order.price + calcSurcharge(order.price);
+      await poolExt.connect(buyer2).fillOrder(order, signature, { value });
+
+      // Even if the seller ends up holding the token again
+      const { order: back, signature: backSig } = await signOrder(buyer2, { price: order.price });
+      await poolExt.connect(buyer1).fillOrder(back, backSig, { value });
+      await expect(
+        poolExt.connect(buyer3).fillOrder(order, signature, { value })
+      ).to.be.revertedWithCustomError(pool, "OrderCancelledOrFilled")
+        .withArgs(await poolExt.getOrderHash(order));
+    });
+
+    it("should reject bad signatures, expired orders and other takers", async function () {
+      const { order, signature } = await signOrder(buyer1, { taker: buyer2.address });
+      const value = order.price + calcSurcharge(order.price);
+
+      const forged = await buyer3.signTypedData(domain, ORDER_TYPES, order);
+      await expect(
+        poolExt.connect(buyer2).fillOrder(order, forged, { value })
+      ).to.be.revertedWithCustomError(pool, "InvalidSignature");
+      await expect(
+        poolExt.connect(buyer3).fillOrder(order, signature, { value })
+      ).to.be.revertedWithCustomError(pool, "ReservedForAnotherBuyer")
+        .withArgs(buyer2.address);
+      await expect(
+        poolExt.connect(buyer2).fillOrder(order, signature, { value: order.price })
+      ).to.be.revertedWithCustomError(pool, "WrongPayment")
+        .withArgs(value, order.price);
+
+      const block = await ethers.provider.getBlock("latest");
+      const expiring = await signOrder(buyer1, { expiresAt: block.timestamp + 60 });
+      await ethers.provider.send("evm_increaseTime", [61]);
+      await ethers.provider.send("evm_mine");
+      await expect(
+        poolExt.connect(buyer2).fillOrder(expiring.order, expiring.signature, { value })
+      ).to.be.revertedWithCustomError(pool, "OrderExpired")
+        .withArgs(await poolExt.getOrderHash(expiring.order), block.timestamp + 60);
+    });
+
+    it("should enforce the cost-basis floor and current ownership", async function () {
+      const low = await signOrder(buyer1, { price: mintPrice - 1n });
+      await expect(
+        poolExt.connect(buyer2).fillOrder(low.order, low.signature, { value: low.order.price + calcSurcharge(low.order.price) })
+      ).to.be.revertedWithCustomError(pool, "PriceBelowCostBasis")
+        .withArgs(mintPrice - 1n, mintPrice);
+
+      const { order, signature } = await signOrder(buyer2);
+      await expect(
+        poolExt.connect(buyer3).fillOrder(order, signature, { value: order.price + calcSurcharge(order.price) })
+      ).to.be.revertedWithCustomError(pool, "SellerNotOwner")
+        .withArgs(0, buyer2.address);
+    });
+
+    it("should invalidate orders via cancelOrders and incrementNonce", async function () {
+      const { order, signature } = await signOrder(buyer1);
+      const value = order.price + calcSurcharge(order.price);
+      const orderHash = await poolExt.getOrderHash(order);
+
+      await expect(poolExt.connect(buyer2).cancelOrders([order]))
+        .to.be.revertedWithCustomError(pool, "NotOrderSigner")
+        .withArgs(buyer1.address);
+      await expect(poolExt.connect(buyer1).cancelOrders([order]))
+        .to.emit(poolExt, "OrderCancelled")
+        .withArgs(orderHash, buyer1.address);
+      await expect(
+        poolExt.connect(buyer2).fillOrder(order, signature, { value })
+      ).to.be.revertedWithCustomError(pool, "OrderCancelledOrFilled")
+        .withArgs(orderHash);
+
+      const other = await signOrder(buyer1, { price: ethers.parseEther("0.6") });
+      await expect(poolExt.connect(buyer1).incrementNonce())
+        .to.emit(poolExt, "NonceIncremented")
+        .withArgs(buyer1.address, 1);
+      await expect(
+        poolExt.connect(buyer2).fillOrder(other.order, other.signature, {
+          value: other.order.price + calcSurcharge(other.order.price),
+        })
+      ).to.be.revertedWithCustomError(pool, "OrderCancelledOrFilled")
+        .withArgs(await poolExt.getOrderHash(other.order));
+
+      const fresh = await signOrder(buyer1, { nonce: 1 });
+      await poolExt.connect(buyer2).fillOrder(fresh.order, fresh.signature, { value });
+      expect(await nft.ownerOf(0)).to.equal(buyer2.address);
+    });
+
+    it("should reject fills while the trigger is active", async function () {
+      const { order, signature } = await signOrder(buyer1);
+      await triggerAndFinalize();
+      await expect(
+        poolExt.connect(buyer2).fillOrder(order, signature, { value: order.price + calcSurcharge(order.price) })
+      ).to.be.revertedWithCustomError(pool, "TriggerActive");
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Wallet migration
+  // ═══════════════════════════════════════════
+
+  describe("Wallet migration", function () {
+    let price0, price1;
+
+    beforeEach(async function () {
+      price0 = await pool.mintPriceOf(0);
+      price1 = await pool.mintPriceOf(1);
+      await pool.connect(buyer1).mint(0, { value: price0 });
+      await pool.connect(buyer1).mint(1, { value: price1 });
+    });
+
+    it("should require consent from both addresses", async function () {
+      await expect(
+        poolExt.connect(buyer2).acceptMigration(buyer1.address)
+      ).to.be.revertedWithCustomError(pool, "MigrationNotProposed")
+        .withArgs(buyer1.address);
+
+      await expect(poolExt.connect(buyer1).migrateAccount(buyer2.address))
+        .to.emit(poolExt, "MigrationProposed")
+        .withArgs(buyer1.address, buyer2.address);
+      await expect(
+        poolExt.connect(buyer3).acceptMigration(buyer1.address)
+      ).to.be.revertedWithCustomError(pool, "MigrationNotProposed")
+        .withArgs(buyer1.address);
+
+      // Withdrawn proposals cannot be accepted
+      await poolExt.connect(buyer1).migrateAccount(ethers.ZeroAddress);
+      await expect(
+        poolExt.connect(buyer2).acceptMigration(buyer1.address)
+      ).to.be.revertedWithCustomError(pool, "MigrationNotProposed")
+        .withArgs(buyer1.address);
+    });
+
+    it("should move tokens, cost basis and tickets without touching the pools", async function () {
+      const tickets = await pool.tickets(buyer1.address);
+      const totalTickets = await pool.totalTickets();
+      const guarantee = await pool.guaranteePool();
+      await pool.connect(buyer1).list(0, ethers.parseEther("1"));
+
+      await poolExt.connect(buyer1).migrateAccount(buyer2.address);
+      await expect(poolExt.connect(buyer2).acceptMigration(buyer1.address))
+        .to.emit(poolExt, "AccountMigrated")
+        .withArgs(buyer1.address, buyer2.address, 2, tickets, 0);
+
+      expect(await nft.ownerOf(0)).to.equal(buyer2.address);
+      expect(await nft.ownerOf(1)).to.equal(buyer2.address);
+      expect(await pool.tokensOfOwner(buyer1.address)).to.deep.equal([]);
+      expect(await pool.costBasis(0)).to.equal(price0);
+      expect(await pool.costBasisOf(buyer2.address)).to.equal(price0 + price1);
+      expect(await pool.costBasisOf(buyer1.address)).to.equal(0n);
+      expect(await pool.tickets(buyer2.address)).to.equal(tickets);
+      expect(await pool.tickets(buyer1.address)).to.equal(0n);
+      expect(await pool.totalTickets()).to.equal(totalTickets);
+      expect(await pool.totalParticipants()).to.equal(1n);
+      expect(await pool.guaranteePool()).to.equal(guarantee);
+      expect(await pool.surplusPool()).to.equal(0n);
+      expect((await pool.listings(0)).active).to.equal(false);
+    });
+
+    it("should leave provenance to sales", async function () {
+      const [mint] = await poolViews.getProvenance(0, 0, 10);
+      await poolExt.connect(buyer1).migrateAccount(buyer2.address);
+      await poolExt.connect(buyer2).acceptMigration(buyer1.address);
+
+      expect(await poolViews.saleCount(0)).to.equal(1n);
+      const [last] = await poolViews.getProvenance(0, 0, 10);
+      expect(last.buyer).to.equal(buyer1.address);
+      expect(last.timestamp).to.equal(mint.timestamp);
+      expect(await nft.ownerOf(0)).to.equal(buyer2.address);
+    });
+
+    it("should merge into an existing participant and move pending withdrawals", async function () {
+      await pool.connect(buyer2).mint(2, { value: await pool.mintPriceOf(2) });
+      expect(await pool.totalParticipants()).to.equal(2n);
+
+      // Outbid buyer1 so they have a pending refund
+      await pool.connect(buyer3).mint(3, { value: await pool.mintPriceOf(3) });
+      const reserve = await pool.mintPriceOf(3);
+      await poolExt.connect(buyer3).createAuction(3, reserve, 86400);
+      await poolExt.connect(buyer1).bid(3, reserve, { value: reserve + calcSurcharge(reserve) });
+      const higher = reserve * 2n;
+      await poolExt.connect(outsider).bid(3, higher, { value: higher + calcSurcharge(higher) });
+      const pending = await pool.pendingWithdrawals(buyer1.address);
+      expect(pending).to.be.gt(0n);
+
+      const total = (await pool.tickets(buyer1.address)) + (await pool.tickets(buyer2.address));
+      await poolExt.connect(buyer1).migrateAccount(buyer2.address);
+      await poolExt.connect(buyer2).acceptMigration(buyer1.address);
+
+      expect(await pool.tickets(buyer2.address)).to.equal(total);
+      expect(await pool.totalParticipants()).to.equal(2n); // buyer2 + buyer3
+      expect(await pool.pendingWithdrawals(buyer2.address)).to.equal(pending);
+      expect(await pool.pendingWithdrawals(buyer1.address)).to.equal(0n);
+      expect(await pool.totalPendingWithdrawals()).to.equal(pending);
+    });
+
+    it("should refuse while a token is auctioned or the trigger is active", async function () {
+      await poolExt.connect(buyer1).createAuction(0, price0, 86400);
+      await poolExt.connect(buyer1).migrateAccount(buyer2.address);
+      await expect(
+        poolExt.connect(buyer2).acceptMigration(buyer1.address)
+      ).to.be.revertedWithCustomError(pool, "AuctionActive")
+        .withArgs(0);
+
+      await triggerAndFinalize();
+      await expect(
+        poolExt.connect(buyer2).acceptMigration(buyer1.address)
+      ).to.be.revertedWithCustomError(pool, "TriggerActive");
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Transfer restrictions
+  // ═══════════════════════════════════════════
+
+  describe("Transfer restrictions", function () {
+    it("should block direct transfers", async function () {
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      await expect(
+        nft.connect(buyer1).transferFrom(buyer1.address, buyer2.address, 0)
+      ).to.be.revertedWithCustomError(nft, "TransferRestricted")
+        .withArgs(buyer1.address);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Smart Tickets
+  // ═══════════════════════════════════════════
+
+  describe("Smart Tickets", function () {
+    it("should accumulate tickets across multiple actions", async function () {
+      // buyer1 mints token 0 (Common) → 3 tickets
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      expect(await pool.tickets(buyer1.address)).to.equal(3n);
+
+      // buyer1 mints token 1 (Common) → 3 more tickets
+      await pool.connect(buyer1).mint(1, { value: PRICE_COMMON });
+      expect(await pool.tickets(buyer1.address)).to.equal(6n);
+
+      // totalParticipants should still be 1
+      expect(await pool.totalParticipants()).to.equal(1n);
+    });
+
+    it("should count participants correctly", async function () {
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      await pool.connect(buyer2).mint(1, { value: PRICE_COMMON });
+      await pool.connect(buyer3).mint(2, { value: PRICE_COMMON });
+
+      expect(await pool.totalParticipants()).to.equal(3n);
+
+      // buyer2 buys another token — shouldn't increase participant count
+      const p = ethers.parseEther("0.5");
+      await pool.connect(buyer1).list(0, p);
+      await pool.connect(buyer2).buy(0, { value: p + calcSurcharge(p) });
+
+      expect(await pool.totalParticipants()).to.equal(3n); // Still 3
+    });
+
+    it("should track total tickets correctly", async function () {
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON }); // 3
+      await pool.connect(buyer2).mint(22, { value: PRICE_STANDARD }); // 5
+
+      // Resale: buyer1 → buyer3 at 0.2 ETH
+      const p = ethers.parseEther("0.2");
+      const s = calcSurcharge(p);
+      const resaleTickets = calcTickets(s);
+      await pool.connect(buyer1).list(0, p);
+      await pool.connect(buyer3).buy(0, { value: p + s });
+
+      expect(await pool.totalTickets()).to.equal(3n + 5n + resaleTickets);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Trigger
+  // ═══════════════════════════════════════════
+
+  describe("Trigger mechanism", function () {
+    beforeEach(async function () {
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      await pool.connect(buyer2).mint(1, { value: PRICE_COMMON });
+    });
+
+    it("should reject trigger if ETH < $10,000", async function () {
+      await expect(pool.initiateTrigger())
+        .to.be.revertedWithCustomError(pool, "PriceBelowTrigger")
+        .withArgs(270000000000n, POOL_CONFIG.triggerPrice);
+    });
+
+    it("should initiate trigger when ETH >= $10,000", async function () {
+      await priceFeed.setPrice(1000000000000n);
+      await pool.initiateTrigger();
+      expect(await pool.triggerState()).to.equal(1);
+    });
+
+    it("should freeze marketplace during trigger", async function () {
+      await priceFeed.setPrice(1000000000000n);
+      await pool.initiateTrigger();
+
+      await expect(
+        pool.connect(buyer3).mint(3, { value: PRICE_COMMON })
+      ).to.be.revertedWithCustomError(pool, "TriggerActive");
+
+      await expect(
+        pool.connect(buyer1).list(0, ethers.parseEther("1.0"))
+      ).to.be.revertedWithCustomError(pool, "TriggerActive");
+    });
+
+    it("should finalize trigger after cooldown", async function () {
+      await triggerAndFinalize();
+      expect(await pool.triggerState()).to.equal(2);
+      expect(await nft.artDestroyed()).to.equal(true);
+    });
+
+    it("should reject finalize before cooldown", async function () {
+      await priceFeed.setPrice(1000000000000n);
+      await pool.initiateTrigger();
+      await expect(pool.finalizeTrigger())
+        .to.be.revertedWithCustomError(pool, "CooldownNotOver")
+        .withArgs((await pool.triggerTimestamp()) + POOL_CONFIG.triggerCooldown);
+    });
+
+    it("should cancel trigger if price drops during cooldown", async function () {
+      await priceFeed.setPrice(1000000000000n);
+      await pool.initiateTrigger();
+      await priceFeed.setPrice(900000000000n);
+      await pool.cancelTrigger();
+      expect(await pool.triggerState()).to.equal(0);
+    });
+
+    it("should reject trigger with stale price data", async function () {
+      await priceFeed.setPrice(1000000000000n);
+      await ethers.provider.send("evm_increaseTime", [3700]);
+      await ethers.provider.send("evm_mine");
+      await expect(pool.initiateTrigger())
+        .to.be.revertedWithCustomError(pool, "StalePrice")
+        .withArgs((age) => age >= 3700n, 3600);
+    });
+
+    it("should allow deadline trigger after 36 months", async function () {
+      await ethers.provider.send("evm_increaseTime", [1095 * 24 * 3600 + 86400]);
+      await ethers.provider.send("evm_mine");
+
+      await pool.initiateTrigger();
+      expect(await pool.triggerState()).to.equal(1);
+
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+
+      await pool.finalizeTrigger();
+      expect(await pool.triggerState()).to.equal(2);
+    });
+
+    it("should reject cancel of deadline trigger", async function () {
+      await ethers.provider.send("evm_increaseTime", [1095 * 24 * 3600 + 86400]);
+      await ethers.provider.send("evm_mine");
+      await pool.initiateTrigger();
+
+      await expect(pool.cancelTrigger()).to.be.revertedWithCustomError(pool, "DeadlineTrigger");
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Oracle: round validation & price module
+  // ═══════════════════════════════════════════
+
+  describe("Oracle validation", function () {
+    const ABOVE = 1000000000000n; // $10,000
+    const BELOW = 900000000000n;  // $9,000
+
+    it("should reject incomplete rounds", async function () {
+      const block = await ethers.provider.getBlock("latest");
+      await priceFeed.setRoundData(5, ABOVE, block.timestamp, block.timestamp, 4);
+      await expect(pool.initiateTrigger())
+        .to.be.revertedWithCustomError(pool, "IncompleteRound")
+        .withArgs(5, 4);
+
+      await priceFeed.setRoundData(5, ABOVE, block.timestamp, 0, 5);
+      await expect(pool.initiateTrigger())
+        .to.be.revertedWithCustomError(pool, "IncompleteRound")
+        .withArgs(5, 5);
+    });
+
+    it("should validate the price in cancelTrigger as well", async function () {
+      await priceFeed.setPrice(ABOVE);
+      await pool.initiateTrigger();
+      await priceFeed.setPrice(0);
+      await expect(pool.cancelTrigger())
+        .to.be.revertedWithCustomError(pool, "InvalidOraclePrice")
+        .withArgs(0);
+    });
+
+    it("should respect the sequencer grace period", async function () {
+      await priceFeed.setPrice(ABOVE);
+      const block = await ethers.provider.getBlock("latest");
+      await sequencerFeed.setStartedAt(block.timestamp);
+      await expect(pool.initiateTrigger())
+        .to.be.revertedWithCustomError(pool, "SequencerGracePeriod")
+        .withArgs((elapsed) => elapsed <= POOL_CONFIG.triggerCooldown, POOL_CONFIG.triggerCooldown);
+
+      await ethers.provider.send("evm_increaseTime", [15 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+      await priceFeed.setPrice(ABOVE); // Refresh
+      await pool.initiateTrigger();
+      expect(await pool.triggerState()).to.equal(1);
+    });
+
+    describe("PriceModule", function () {
+      let feedA, feedB, feedC, Module;
+
+      beforeEach(async function () {
+        const MockAgg = await ethers.getContractFactory("MockV3Aggregator");
+        feedA = await MockAgg.deploy(BELOW);
+        feedB = await MockAgg.deploy(BELOW);
+        feedC = await MockAgg.deploy(BELOW);
+        Module = await ethers.getContractFactory("PriceModule");
+      });
+
+      async function deployWithModule(feeds, maxDeviationBps) {
+        const module = await Module.deploy(await Promise.all(feeds.map((f) => f.getAddress())), maxDeviationBps);
+        const nft2 = await deployNFT("ipfs://a/", "ipfs://b");
+        const pool2 = await deployPool(
+          await nft2.getAddress(),
+          await module.getAddress(),
+          await sequencerFeed.getAddress(),
+          creator.address,
+          buildTierAssignments()
+        );
+        await nft2.setPoolManager(await pool2.getAddress());
+        return { module, pool2 };
+      }
+
+      it("should trigger only when two feeds agree within tolerance", async function () {
+        const { module, pool2 } = await deployWithModule([feedA, feedB], 100); // 1%
+
+        await feedA.setPrice(ABOVE);
+        await feedB.setPrice(ABOVE - ABOVE / 50n); // 2% lower
+        const low = ABOVE - ABOVE / 50n;
+        await expect(pool2.initiateTrigger())
+          .to.be.revertedWithCustomError(module, "FeedsDisagree")
+          .withArgs(low, ABOVE, (low + ABOVE) / 2n);
+
+        await feedB.setPrice(ABOVE + ABOVE / 200n); // 0.5% higher
+        const [, answer] = await module.latestRoundData();
+        expect(answer).to.equal(ABOVE + ABOVE / 400n); // Average of the two
+        await expect(pool2.initiateTrigger())
+          .to.emit(pool2, "TriggerInitiated");
+      });
+
+      it("should use the median and ignore a single outlier", async function () {
+        const { module, pool2 } = await deployWithModule([feedA, feedB, feedC], 0);
+
+        await feedA.setPrice(ABOVE);
+        await feedB.setPrice(ABOVE + 1n);
+        await feedC.setPrice(1n); // Broken feed
+        const [, answer] = await module.latestRoundData();
+        expect(answer).to.equal(ABOVE);
+        await pool2.initiateTrigger();
+        expect(await pool2.triggerState()).to.equal(1);
+
+        // The same module drives cancelTrigger
+        await feedB.setPrice(BELOW);
+        await pool2.cancelTrigger();
+        expect(await pool2.triggerState()).to.equal(0);
+      });
+
+      it("should reject when any source is stale or incomplete", async function () {
+        const { pool2 } = await deployWithModule([feedA, feedB, feedC], 0);
+        await ethers.provider.send("evm_increaseTime", [3601]);
+        await ethers.provider.send("evm_mine");
+        await feedA.setPrice(ABOVE);
+        await feedB.setPrice(ABOVE);
+        await expect(pool2.initiateTrigger())
+          .to.be.revertedWithCustomError(pool2, "StalePrice")
+          .withArgs((age) => age > 3600n, 3600);
+
+        const block = await ethers.provider.getBlock("latest");
+        await feedC.setRoundData(9, ABOVE, block.timestamp, block.timestamp, 8);
+        await expect(pool2.initiateTrigger())
+          .to.be.revertedWithCustomError(Module, "IncompleteFeedRound")
+          .withArgs(await feedC.getAddress(), 9, 8);
+      });
+
+      it("should validate its configuration", async function () {
+        await expect(Module.deploy([], 0)).to.be.revertedWithCustomError(Module, "NoFeeds");
+        await expect(
+          Module.deploy([await feedA.getAddress()], 10000)
+        ).to.be.revertedWithCustomError(Module, "InvalidDeviation")
+          .withArgs(10000);
+      });
+    });
+  });
+
+  describe("Trigger observations", function () {
+    const ABOVE = 1000000000000n; // $10,000
+    const BELOW = 900000000000n;
+
+    async function passCooldown() {
+      await ethers.provider.send("evm_increaseTime", [901]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    it("should not finalize on a spike seen only at initiate and finalize", async function () {
+      await priceFeed.setPrice(ABOVE);
+      await pool.initiateTrigger();
+      await passCooldown();
+      await priceFeed.setPrice(ABOVE);
+      await expect(pool.finalizeTrigger())
+        .to.be.revertedWithCustomError(pool, "NotEnoughObservations")
+        .withArgs(2, 3);
+    });
+
+    it("should record one checkpoint per oracle round while the trigger is pending", async function () {
+      await priceFeed.setPrice(ABOVE);
+      await pool.initiateTrigger();
+      const roundId = await priceFeed.roundId();
+
+      await expect(poolTrigger.checkpointTrigger())
+        .to.be.revertedWithCustomError(pool, "RoundAlreadyObserved")
+        .withArgs(roundId);
+
+      await priceFeed.setPrice(ABOVE + 1n);
+      await expect(poolTrigger.connect(outsider).checkpointTrigger())
+        .to.emit(poolTrigger, "TriggerObserved")
+        .withArgs(roundId + 1n, ABOVE + 1n, 2);
+
+      const history = await poolTrigger.getTriggerObservations();
+      expect(history.length).to.equal(2);
+      expect(history[0].roundId).to.equal(roundId);
+      expect(history[0].price).to.equal(ABOVE);
+      expect(history[1].price).to.equal(ABOVE + 1n);
+
+      await passCooldown();
+      await priceFeed.setPrice(ABOVE);
+      await pool.finalizeTrigger();
+      expect(await pool.triggerState()).to.equal(2);
+      expect((await poolTrigger.getTriggerObservations()).length).to.equal(3);
+    });
+
+    it("should only count observations at or above the trigger price", async function () {
+      await priceFeed.setPrice(ABOVE);
+      await pool.initiateTrigger();
+      await priceFeed.setPrice(BELOW);
+      await poolTrigger.checkpointTrigger();
+      expect(await pool.triggerObservationsAbove()).to.equal(1n);
+
+      await passCooldown();
+      await priceFeed.setPrice(ABOVE);
+      await expect(pool.finalizeTrigger())
+        .to.be.revertedWithCustomError(pool, "NotEnoughObservations")
+        .withArgs(2, 3);
+    });
+
+    it("should finalize with checkpoints taken after the cooldown", async function () {
+      // The oracle does not update during the cooldown
+      await priceFeed.setPrice(ABOVE);
+      await pool.initiateTrigger();
+      await passCooldown();
+
+      await priceFeed.setPrice(ABOVE);
+      await expect(pool.finalizeTrigger())
+        .to.be.revertedWithCustomError(pool, "NotEnoughObservations")
+        .withArgs(2, 3);
+
+      await poolTrigger.checkpointTrigger();
+      expect(await pool.triggerObservationsAbove()).to.equal(2n);
+      await priceFeed.setPrice(ABOVE);
+      await pool.finalizeTrigger();
+      expect(await pool.triggerState()).to.equal(2);
+    });
+
+    it("should start a fresh history for each trigger attempt", async function () {
+      await priceFeed.setPrice(ABOVE);
+      await pool.initiateTrigger();
+      await priceFeed.setPrice(ABOVE);
+      await poolTrigger.checkpointTrigger();
+      await priceFeed.setPrice(BELOW);
+      await pool.cancelTrigger();
+
+      await priceFeed.setPrice(ABOVE);
+      await pool.initiateTrigger();
+      expect((await poolTrigger.getTriggerObservations()).length).to.equal(1);
+      expect(await pool.triggerObservationsAbove()).to.equal(1n);
+    });
+
+    it("should not require observations for a deadline trigger", async function () {
+      await ethers.provider.send("evm_increaseTime", [1095 * 24 * 3600 + 86400]);
+      await ethers.provider.send("evm_mine");
+      await pool.initiateTrigger();
+      await passCooldown();
+      await pool.finalizeTrigger();
+      expect(await pool.triggerState()).to.equal(2);
+    });
+  });
+
+  describe("Trigger status", function () {
+    const ABOVE = 1000000000000n; // $10,000
+    const BELOW = 900000000000n;
+    // TriggerReason codes
+    const R = {
+      None: 0n, WrongState: 1n, CooldownActive: 2n, CooldownPassed: 3n, DeadlineTrigger: 4n,
+      SequencerDown: 5n, SequencerGracePeriod: 6n, OracleError: 7n, InvalidPrice: 8n,
+      IncompleteRound: 9n, StalePrice: 10n, PriceBelowTrigger: 11n, PriceAboveTrigger: 12n,
+      NotEnoughObservations: 13n, VoteTrigger: 14n, FuturePriceTimestamp: 15n, FutureSequencerTimestamp: 16n,
+    };
+
+    function actions(status) {
+      return [status.initiate, status.finalize, status.cancel, status.reset];
+    }
+
+    it("should explain why nothing can be called below $10,000", async function () {
+      const status = await poolTrigger.getTriggerStatus();
+      expect(status.state).to.equal(0n);
+      expect(status.price).to.equal(270000000000n);
+      expect(status.priceReason).to.equal(R.None);
+      expect(status.sequencerUp).to.equal(true);
+      expect(status.deadlineReached).to.equal(false);
+      expect(actions(status)).to.deep.equal([R.PriceBelowTrigger, R.WrongState, R.WrongState, R.WrongState]);
+    });
+
+    it("should follow a price trigger through the cooldown", async function () {
+      await priceFeed.setPrice(ABOVE);
+      expect((await poolTrigger.getTriggerStatus()).initiate).to.equal(R.None);
+      await pool.initiateTrigger();
+
+      let status = await poolTrigger.getTriggerStatus();
+      expect(status.cooldownRemaining).to.equal(900n);
+      expect(actions(status)).to.deep.equal([R.WrongState, R.CooldownActive, R.PriceAboveTrigger, R.CooldownActive]);
+
+      await priceFeed.setPrice(BELOW);
+      expect((await poolTrigger.getTriggerStatus()).cancel).to.equal(R.None);
+
+      await priceFeed.setPrice(ABOVE);
+      await ethers.provider.send("evm_increaseTime", [901]);
+      await ethers.provider.send("evm_mine");
+      await priceFeed.setPrice(ABOVE);
+      status = await poolTrigger.getTriggerStatus();
+      expect(status.cooldownRemaining).to.equal(0n);
+      // Initiate + this round = 2 observations
+      expect(actions(status)).to.deep.equal([R.WrongState, R.NotEnoughObservations, R.CooldownPassed, R.PriceAboveTrigger]);
+      await expect(pool.finalizeTrigger())
+        .to.be.revertedWithCustomError(pool, "NotEnoughObservations")
+        .withArgs(2, 3);
+    });
+
+    it("should report oracle and sequencer problems", async function () {
+      await priceFeed.setPrice(-1n);
+      let status = await poolTrigger.getTriggerStatus();
+      expect(status.price).to.equal(0n);
+      expect(status.priceReason).to.equal(R.InvalidPrice);
+      expect(status.initiate).to.equal(R.InvalidPrice);
+
+      await priceFeed.setPrice(ABOVE);
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      status = await poolTrigger.getTriggerStatus();
+      expect(status.priceAge).to.be.gte(3601n);
+      expect(status.initiate).to.equal(R.StalePrice);
+
+      await priceFeed.setPrice(ABOVE);
+      const block = await ethers.provider.getBlock("latest");
+      await sequencerFeed.setStartedAt(block.timestamp);
+      status = await poolTrigger.getTriggerStatus();
+      expect(status.sequencerGraceRemaining).to.be.gt(0n);
+      expect(status.initiate).to.equal(R.SequencerGracePeriod);
+
+      await sequencerFeed.setPrice(1); // Sequencer down
+      status = await poolTrigger.getTriggerStatus();
+      expect(status.sequencerUp).to.equal(false);
+      expect(status.initiate).to.equal(R.SequencerDown);
     });
 
-    it("should finalize trigger after cooldown", async function () {
-      await triggerAndFinalize();
-      expect(await pool.triggerState()).to.equal(2);
-      expect(await nft.artDestroyed()).to.equal(true);
+    it("should reject feed timestamps after the current block", async function () {
+      await priceFeed.setPrice(ABOVE);
+      let now = (await ethers.provider.getBlock("latest")).timestamp;
+      await sequencerFeed.setStartedAt(now + 3600);
+      let status = await poolTrigger.getTriggerStatus();
+      expect(status.sequencerUp).to.equal(false);
+      expect(status.initiate).to.equal(R.FutureSequencerTimestamp);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [now + 10]);
+      await expect(pool.initiateTrigger())
+        .to.be.revertedWithCustomError(pool, "FutureSequencerTimestamp")
+        .withArgs(now + 3600, now + 10);
+
+      await sequencerFeed.setStartedAt(0);
+      const roundId = (await priceFeed.latestRoundData())[0] + 1n;
+      now = (await ethers.provider.getBlock("latest")).timestamp;
+      await priceFeed.setRoundData(roundId, ABOVE, 0, now + 3600, roundId);
+      status = await poolTrigger.getTriggerStatus();
+      expect(status.priceReason).to.equal(R.FuturePriceTimestamp);
+      expect(status.priceAge).to.equal(0n);
+      expect(status.initiate).to.equal(R.FuturePriceTimestamp);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [now + 10]);
+      await expect(pool.initiateTrigger())
+        .to.be.revertedWithCustomError(pool, "FuturePriceTimestamp")
+        .withArgs(now + 3600, now + 10);
     });
 
-    it("should reject finalize before cooldown", async function () {
-      await priceFeed.setPrice(1000000000000n);
-      await pool.initiateTrigger();
-      await expect(pool.finalizeTrigger()).to.be.revertedWith("Cooldown not over");
+    it("should report a sequencer feed that reverts as an oracle error", async function () {
+      await priceFeed.setPrice(ABOVE);
+      let status;
+
+      // A contract without latestRoundData() as the sequencer feed
+      const RejectETH = await ethers.getContractFactory("RejectETH");
+      const badFeed = await RejectETH.deploy();
+      const nft2 = await deployNFT("ipfs://test/", "ipfs://burned");
+      const pool2 = await deployPool(
+        await nft2.getAddress(),
+        await priceFeed.getAddress(),
+        await badFeed.getAddress(),
+        creator.address,
+        buildTierAssignments()
+      );
+      const trigger2 = await ethers.getContractAt("PoolManagerTriggerExtension", await pool2.getAddress());
+      status = await trigger2.getTriggerStatus();
+      expect(status.sequencerUp).to.equal(false);
+      expect(actions(status)).to.deep.equal([R.OracleError, R.WrongState, R.WrongState, R.WrongState]);
     });
 
-    it("should cancel trigger if price drops during cooldown", async function () {
-      await priceFeed.setPrice(1000000000000n);
+    it("should allow only finalize after a deadline trigger", async function () {
+      await ethers.provider.send("evm_increaseTime", [1095 * 24 * 3600 + 86400]);
+      await ethers.provider.send("evm_mine");
+      let status = await poolTrigger.getTriggerStatus();
+      expect(status.deadlineReached).to.equal(true);
+      expect(status.initiate).to.equal(R.None); // Stale price does not matter
+
       await pool.initiateTrigger();
-      await priceFeed.setPrice(900000000000n);
-      await pool.cancelTrigger();
-      expect(await pool.triggerState()).to.equal(0);
+      status = await poolTrigger.getTriggerStatus();
+      expect(actions(status)).to.deep.equal([R.WrongState, R.CooldownActive, R.DeadlineTrigger, R.CooldownActive]);
     });
 
-    it("should reject trigger with stale price data", async function () {
-      await priceFeed.setPrice(1000000000000n);
-      await ethers.provider.send("evm_increaseTime", [3700]);
+    it("should make getEthPrice reject negative and stale answers", async function () {
+      expect(await pool.getEthPrice()).to.equal(270000000000n);
+      await priceFeed.setPrice(-5n);
+      await expect(pool.getEthPrice())
+        .to.be.revertedWithCustomError(pool, "InvalidOraclePrice")
+        .withArgs(-5n);
+      await priceFeed.setPrice(ABOVE);
+      await ethers.provider.send("evm_increaseTime", [3601]);
       await ethers.provider.send("evm_mine");
-      await expect(pool.initiateTrigger()).to.be.revertedWith("Stale price data");
+      await expect(pool.getEthPrice())
+        .to.be.revertedWithCustomError(pool, "StalePrice")
+        .withArgs((age) => age > 3600n, 3600);
     });
+  });
 
-    it("should allow deadline trigger after 36 months", async function () {
-      await ethers.provider.send("evm_increaseTime", [1095 * 24 * 3600 + 86400]);
+  describe("Early trigger vote", function () {
+    const WEEK = 7 * 24 * 3600;
+
+    async function closeVoting() {
+      await ethers.provider.send("evm_increaseTime", [WEEK]);
       await ethers.provider.send("evm_mine");
+    }
 
-      await pool.initiateTrigger();
+    beforeEach(async function () {
+      // buyer1: 2 tokens, buyer2: 1 token, buyer3: 1 token
+      for (const [signer, id] of [[buyer1, 0], [buyer1, 1], [buyer2, 2], [buyer3, 3]]) {
+        await pool.connect(signer).mint(id, { value: await pool.mintPriceOf(id) });
+      }
+    });
+
+    it("should snapshot tickets when the proposal is created", async function () {
+      await expect(poolTrigger.connect(outsider).propose())
+        .to.be.revertedWithCustomError(pool, "NoVotingPower")
+        .withArgs(outsider.address, await ethers.provider.getBlockNumber());
+
+      const weight = await pool.tickets(buyer1.address);
+      const tx = await poolTrigger.connect(buyer1).propose();
+      const block = await ethers.provider.getBlock(tx.blockNumber);
+      await expect(tx)
+        .to.emit(poolTrigger, "ProposalCreated")
+        .withArgs(0, buyer1.address, tx.blockNumber - 1, block.timestamp + WEEK);
+
+      // Tickets acquired after the snapshot carry no weight
+      await pool.connect(outsider).mint(4, { value: await pool.mintPriceOf(4) });
+      await expect(poolTrigger.connect(outsider).castVote(0, true))
+        .to.be.revertedWithCustomError(pool, "NoVotingPower")
+        .withArgs(outsider.address, tx.blockNumber - 1);
+
+      await expect(poolTrigger.connect(buyer1).castVote(0, true))
+        .to.emit(poolTrigger, "VoteCast")
+        .withArgs(0, buyer1.address, true, weight);
+      await expect(poolTrigger.connect(buyer1).castVote(0, true))
+        .to.be.revertedWithCustomError(pool, "AlreadyVoted")
+        .withArgs(0, buyer1.address);
+      await expect(poolTrigger.connect(buyer2).propose())
+        .to.be.revertedWithCustomError(pool, "ProposalActive")
+        .withArgs(0, block.timestamp + WEEK);
+    });
+
+    it("should require quorum and a supermajority", async function () {
+      await poolTrigger.connect(buyer1).propose();
+      await poolTrigger.connect(buyer1).castVote(0, true);  // 2 tokens worth
+      await poolTrigger.connect(buyer2).castVote(0, false); // 1 token worth
+      await poolTrigger.connect(buyer3).castVote(0, false); // 1 token worth
+
+      const { endTime } = await pool.proposals(0);
+      await expect(poolTrigger.executeProposal(0))
+        .to.be.revertedWithCustomError(pool, "VotingNotClosed")
+        .withArgs(0, endTime);
+      await closeVoting();
+      await expect(poolTrigger.connect(buyer1).castVote(0, true))
+        .to.be.revertedWithCustomError(pool, "VotingClosed")
+        .withArgs(0, endTime);
+
+      const state = await poolTrigger.getProposalState(0);
+      expect(state.passed).to.equal(false); // 50% in favor
+      await expect(poolTrigger.executeProposal(0))
+        .to.be.revertedWithCustomError(pool, "ProposalNotPassed")
+        .withArgs(0, state.forVotes, state.againstVotes, state.quorum);
+    });
+
+    it("should start a non-cancellable trigger that finalizes without price", async function () {
+      await poolTrigger.connect(buyer1).propose();
+      await poolTrigger.connect(buyer1).castVote(0, true);
+      await closeVoting();
+
+      await expect(poolTrigger.connect(outsider).executeProposal(0))
+        .to.emit(poolTrigger, "ProposalExecuted")
+        .withArgs(0, await pool.tickets(buyer1.address), 0);
       expect(await pool.triggerState()).to.equal(1);
+      expect(await pool.voteTriggered()).to.equal(true);
+      await expect(poolTrigger.executeProposal(0)).to.be.revertedWithCustomError(pool, "TriggerActive");
 
-      await ethers.provider.send("evm_increaseTime", [3601]);
+      // $2,700 would cancel a price trigger, but not a vote trigger
+      await expect(pool.cancelTrigger()).to.be.revertedWithCustomError(pool, "VoteTrigger");
+      await ethers.provider.send("evm_increaseTime", [901]);
       await ethers.provider.send("evm_mine");
+      await expect(pool.resetTrigger()).to.be.revertedWithCustomError(pool, "VoteTrigger");
 
       await pool.finalizeTrigger();
       expect(await pool.triggerState()).to.equal(2);
+      expect(await nft.artDestroyed()).to.equal(true);
     });
 
-    it("should reject cancel of deadline trigger", async function () {
-      await ethers.provider.send("evm_increaseTime", [1095 * 24 * 3600 + 86400]);
+    it("should not execute a proposal that fell short of quorum", async function () {
+      // Quorum is 20% of snapshot tickets; buyer3 holds less than that
+      await pool.connect(outsider).mintBatch([4, 5, 6, 7, 8, 9, 10, 11], {
+        value: (await pool.mintPriceOf(4)) * 8n,
+      });
+      await poolTrigger.connect(buyer3).propose();
+      await poolTrigger.connect(buyer3).castVote(0, true);
+      await closeVoting();
+
+      const state = await poolTrigger.getProposalState(0);
+      expect(state.forVotes).to.be.lt(state.quorum);
+      await expect(poolTrigger.executeProposal(0))
+        .to.be.revertedWithCustomError(pool, "ProposalNotPassed")
+        .withArgs(0, state.forVotes, state.againstVotes, state.quorum);
+    });
+
+    it("should not let a new proposal supersede a passed one awaiting execution", async function () {
+      await poolTrigger.connect(buyer1).propose();
+      await poolTrigger.connect(buyer1).castVote(0, true);
+      await closeVoting();
+
+      const { endTime } = await pool.proposals(0);
+      const executeBy = endTime + BigInt(3 * 24 * 3600);
+      expect(await pool.VOTE_EXECUTION_WINDOW()).to.equal(3 * 24 * 3600);
+      await expect(poolTrigger.connect(buyer3).propose())
+        .to.be.revertedWithCustomError(pool, "ProposalAwaitingExecution")
+        .withArgs(0, executeBy);
+
+      await expect(poolTrigger.connect(outsider).executeProposal(0))
+        .to.emit(poolTrigger, "ProposalExecuted");
+    });
+
+    it("should expire a passed proposal left unexecuted past the window", async function () {
+      await poolTrigger.connect(buyer1).propose();
+      await poolTrigger.connect(buyer1).castVote(0, true);
+      await closeVoting();
+
+      const { endTime } = await pool.proposals(0);
+      const executeBy = endTime + (await pool.VOTE_EXECUTION_WINDOW());
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(executeBy)]);
       await ethers.provider.send("evm_mine");
-      await pool.initiateTrigger();
+      await expect(poolTrigger.executeProposal(0))
+        .to.be.revertedWithCustomError(pool, "ExecutionWindowClosed")
+        .withArgs(0, executeBy);
 
-      await expect(pool.cancelTrigger()).to.be.revertedWith(
-        "Deadline trigger cannot be cancelled"
-      );
+      // A fresh proposal can then be made
+      await expect(poolTrigger.connect(buyer3).propose())
+        .to.emit(poolTrigger, "ProposalCreated");
     });
   });
 
@@ -470,13 +2535,15 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
       await pool.connect(outsider).distributeFor(buyer1.address);
       await expect(
         pool.connect(outsider).distributeFor(buyer1.address)
-      ).to.be.revertedWith("Already distributed");
+      ).to.be.revertedWithCustomError(pool, "AlreadyDistributed")
+        .withArgs(buyer1.address);
     });
 
     it("should reject distribution for non-participant", async function () {
       await expect(
         pool.connect(outsider).distributeFor(outsider.address)
-      ).to.be.revertedWith("No tickets");
+      ).to.be.revertedWithCustomError(pool, "NothingToDistribute")
+        .withArgs(outsider.address);
     });
 
     it("should reject distribution before trigger", async function () {
@@ -484,10 +2551,8 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
       const MockAgg = await ethers.getContractFactory("MockV3Aggregator");
       const pf2 = await MockAgg.deploy(270000000000n);
       const sf2 = await MockAgg.deploy(0);
-      const NFT2 = await ethers.getContractFactory("InnerModelsNFT");
-      const nft2 = await NFT2.deploy("ipfs://test/", "ipfs://burned");
-      const Pool2 = await ethers.getContractFactory("PoolManager");
-      const pool2 = await Pool2.deploy(
+      const nft2 = await deployNFT("ipfs://test/", "ipfs://burned");
+      const pool2 = await deployPool(
         await nft2.getAddress(),
         await pf2.getAddress(),
         await sf2.getAddress(),
@@ -499,7 +2564,70 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
 
       await expect(
         pool2.connect(outsider).distributeFor(buyer1.address)
-      ).to.be.revertedWith("Not finalized");
+      ).to.be.revertedWithCustomError(pool2, "NotFinalized");
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Batch distribution
+  // ═══════════════════════════════════════════
+
+  describe("Batch distribution (distributeForMany)", function () {
+    beforeEach(async function () {
+      const price = await pool.mintPriceOf(0);
+      await pool.connect(buyer1).mint(0, { value: price });
+      await pool.connect(buyer2).mint(1, { value: price });
+      await pool.connect(buyer3).mint(2, { value: price });
+
+      const p = ethers.parseEther("0.5");
+      await pool.connect(buyer1).list(0, p);
+      await pool.connect(buyer2).buy(0, { value: p + calcSurcharge(p) });
+
+      await triggerAndFinalize();
+    });
+
+    it("should pay every participant like distributeFor", async function () {
+      const [bonus2, costBasis2] = await pool.estimatePayout(buyer2.address);
+
+      const tx = await pool.connect(outsider).distributeForMany([buyer1.address, buyer2.address, buyer3.address]);
+      await expect(tx).to.emit(pool, "Distributed").withArgs(buyer2.address, bonus2, costBasis2);
+      await expect(tx).to.emit(pool, "BatchDistributed").withArgs(3, 0, 0);
+
+      expect(await pool.bonusesDistributed()).to.equal(3n);
+      expect(await pool.costBasesDistributed()).to.equal(3n);
+    });
+
+    it("should skip claimed and ticketless addresses", async function () {
+      await pool.connect(outsider).distributeFor(buyer1.address);
+
+      await expect(
+        pool.connect(outsider).distributeForMany([buyer1.address, outsider.address, buyer2.address, buyer2.address])
+      )
+        .to.emit(pool, "BatchDistributed")
+        .withArgs(1, 3, 1);
+
+      expect(await pool.bonusClaimed(buyer2.address)).to.equal(true);
+      expect(await pool.bonusClaimed(buyer3.address)).to.equal(false);
+    });
+
+    it("should report remaining participants via staticCall", async function () {
+      const [distributed, remaining] = await pool.distributeForMany.staticCall([buyer3.address]);
+      expect(distributed).to.equal(1n);
+      expect(remaining).to.equal(2n);
+    });
+
+    it("should reject before finalization", async function () {
+      const MockAgg = await ethers.getContractFactory("MockV3Aggregator");
+      const pf2 = await MockAgg.deploy(270000000000n);
+      const nft2 = await deployNFT("ipfs://test/", "ipfs://burned");
+      const pool2 = await deployPool(
+        await nft2.getAddress(),
+        await pf2.getAddress(),
+        ethers.ZeroAddress,
+        creator.address,
+        buildTierAssignments()
+      );
+      await expect(pool2.distributeForMany([buyer1.address])).to.be.revertedWithCustomError(pool2, "NotFinalized");
     });
   });
 
@@ -540,7 +2668,129 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
       await pool.connect(outsider).distributeCreator();
       await expect(
         pool.connect(outsider).distributeCreator()
-      ).to.be.revertedWith("Already claimed");
+      ).to.be.revertedWithCustomError(pool, "CreatorAlreadyDistributed");
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Creator beneficiaries (split creator share)
+  // ═══════════════════════════════════════════
+
+  describe("Creator beneficiaries", function () {
+    let artist, developer, curator, newArtist;
+    const SHARES = [5000n, 3000n, 2000n];
+
+    beforeEach(async function () {
+      [, , , , , artist, developer, curator, newArtist] = await ethers.getSigners();
+    });
+
+    function setSplit() {
+      return poolExt.setBeneficiaries([artist.address, developer.address, curator.address], SHARES);
+    }
+
+    async function buildSurplusAndTrigger() {
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      const p = ethers.parseEther("1.0");
+      await pool.connect(buyer1).list(0, p);
+      await pool.connect(buyer2).buy(0, { value: p + calcSurcharge(p) });
+      await triggerAndFinalize();
+    }
+
+    it("should record beneficiaries and their shares", async function () {
+      await expect(setSplit()).to.emit(pool, "BeneficiariesSet");
+      const list = await poolExt.getBeneficiaries();
+      expect(list.map((b) => b.account)).to.deep.equal([artist.address, developer.address, curator.address]);
+      expect(list.map((b) => b.shareBps)).to.deep.equal(SHARES);
+    });
+
+    it("should validate the split", async function () {
+      const accounts = [artist.address, developer.address];
+      await expect(poolExt.setBeneficiaries(accounts, [5000n, 4000n]))
+        .to.be.revertedWithCustomError(pool, "SharesNotFull")
+        .withArgs(9000);
+      await expect(
+        poolExt.setBeneficiaries([artist.address, artist.address], [5000n, 5000n])
+      ).to.be.revertedWithCustomError(pool, "InvalidBeneficiary")
+        .withArgs(artist.address);
+      await expect(poolExt.setBeneficiaries(accounts, [10000n, 0n]))
+        .to.be.revertedWithCustomError(pool, "InvalidShare")
+        .withArgs(1);
+      await expect(poolExt.setBeneficiaries(accounts, [10000n]))
+        .to.be.revertedWithCustomError(pool, "LengthMismatch")
+        .withArgs(2, 1);
+      await expect(
+        poolExt.connect(outsider).setBeneficiaries(accounts, [5000n, 5000n])
+      ).to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount")
+        .withArgs(outsider.address);
+
+      await poolExt.setBeneficiaries(accounts, [5000n, 5000n]);
+      await expect(poolExt.setBeneficiaries(accounts, [5000n, 5000n]))
+        .to.be.revertedWithCustomError(pool, "BeneficiariesAlreadySet");
+    });
+
+    it("should credit each share for independent withdrawal", async function () {
+      await setSplit();
+      await buildSurplusAndTrigger();
+
+      const payout = ((await pool.surplusPool()) * CREATOR_FEE_BPS) / BPS;
+      const creatorBefore = await ethers.provider.getBalance(creator.address);
+      const artistShare = (payout * 5000n) / BPS;
+      const developerShare = (payout * 3000n) / BPS;
+      // CreatorDistributed carries the total; each credit is its own PendingWithdrawal
+      await expect(pool.connect(outsider).distributeCreator())
+        .to.emit(pool, "CreatorDistributed").withArgs(creator.address, payout)
+        .and.to.emit(pool, "PendingWithdrawal").withArgs(artist.address, artistShare)
+        .and.to.emit(pool, "PendingWithdrawal").withArgs(developer.address, developerShare);
+      expect(await ethers.provider.getBalance(creator.address)).to.equal(creatorBefore);
+
+      expect(await pool.pendingWithdrawals(artist.address)).to.equal(artistShare);
+      expect(await pool.pendingWithdrawals(developer.address)).to.equal(developerShare);
+      expect(await pool.pendingWithdrawals(curator.address)).to.equal(payout - artistShare - developerShare);
+      expect(await pool.totalPendingWithdrawals()).to.equal(payout);
+
+      await expect(pool.connect(developer).withdraw())
+        .to.emit(pool, "Withdrawn")
+        .withArgs(developer.address, developerShare);
+      expect(await pool.pendingWithdrawals(artist.address)).to.equal(artistShare);
+    });
+
+    it("should let a beneficiary rotate its own address before the trigger", async function () {
+      await setSplit();
+
+      await expect(poolExt.connect(outsider).rotateBeneficiary(newArtist.address))
+        .to.be.revertedWithCustomError(pool, "NotBeneficiary")
+        .withArgs(outsider.address);
+      await expect(poolExt.connect(artist).rotateBeneficiary(developer.address))
+        .to.be.revertedWithCustomError(pool, "InvalidBeneficiary")
+        .withArgs(developer.address);
+      await expect(poolExt.connect(artist).rotateBeneficiary(newArtist.address))
+        .to.emit(pool, "BeneficiaryRotated")
+        .withArgs(0, artist.address, newArtist.address);
+      await expect(poolExt.connect(artist).rotateBeneficiary(artist.address))
+        .to.be.revertedWithCustomError(pool, "NotBeneficiary")
+        .withArgs(artist.address);
+
+      await buildSurplusAndTrigger();
+      await expect(poolExt.connect(newArtist).rotateBeneficiary(artist.address)).to.be.revertedWithCustomError(pool, "TriggerActive");
+
+      await pool.distributeCreator();
+      expect(await pool.pendingWithdrawals(artist.address)).to.equal(0n);
+      expect(await pool.pendingWithdrawals(newArtist.address)).to.be.gt(0n);
+    });
+
+    it("should split swept dust like the creator share", async function () {
+      await setSplit();
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      await triggerAndFinalize();
+      await pool.connect(outsider).distributeFor(buyer1.address);
+      await pool.distributeCreator();
+
+      const dust = ethers.parseEther("0.01");
+      await outsider.sendTransaction({ to: await pool.getAddress(), value: dust });
+      await pool.connect(creator).sweepDust();
+
+      expect(await pool.pendingWithdrawals(artist.address)).to.equal(dust / 2n);
+      expect(await pool.totalPendingWithdrawals()).to.equal(dust);
     });
   });
 
@@ -706,14 +2956,157 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
   // ═══════════════════════════════════════════
 
   describe("Art destruction", function () {
-    it("should return destroyed URI after trigger", async function () {
+    function decodeDataURI(uri, prefix) {
+      expect(uri.startsWith(prefix)).to.equal(true);
+      return Buffer.from(uri.slice(prefix.length), "base64").toString();
+    }
+
+    it("should return a per-token tombstone after trigger", async function () {
+      await nft.setAttributes([0], [4], [1], [7]);
       await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
 
       expect(await nft.tokenURI(0)).to.equal("ipfs://QmBaseURI/0.json");
 
       await triggerAndFinalize();
 
+      const json = JSON.parse(decodeDataURI(await nft.tokenURI(0), "data:application/json;base64,"));
+      expect(json.name).to.equal("Inner Models #0 (destroyed)");
+      const trait = (type) => json.attributes.find((a) => a.trait_type === type).value;
+      expect(trait("Model")).to.equal(4);
+      expect(trait("Question")).to.equal(7);
+      expect(trait("Final cost basis (ETH)")).to.equal("0.0500");
+      expect(trait("Final owner")).to.equal(buyer1.address.toLowerCase());
+      expect(trait("Sales")).to.equal(1);
+      expect(trait("Final sale")).to.equal(Number((await poolViews.getProvenance(0, 0, 1))[0].timestamp));
+      expect(trait("Destroyed at")).to.equal(Number(await nft.destroyedAt()));
+      expect(trait("Trigger ETH/USD")).to.equal(10000);
+
+      const svg = decodeDataURI(json.image, "data:image/svg+xml;base64,");
+      expect(svg).to.contain("DESTROYED");
+      expect(svg).to.contain("Model #4 / Question #7");
+      expect(svg).to.contain("Cost basis 0.0500 ETH");
+    });
+
+    it("should record the finalization price and time", async function () {
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      await triggerAndFinalize();
+
+      expect(await nft.finalEthPrice()).to.equal(1000000000000n);
+      const block = await ethers.provider.getBlock("latest");
+      expect(await nft.destroyedAt()).to.equal(block.timestamp);
+    });
+
+    it("should serve the shared destroyed JSON when selected by the owner", async function () {
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      await triggerAndFinalize();
+
+      await expect(nft.setDestroyedFallback(true))
+        .to.emit(nft, "DestroyedFallbackSet")
+        .withArgs(true);
       expect(await nft.tokenURI(0)).to.equal("ipfs://QmDestroyedURI");
+
+      await nft.setDestroyedFallback(false);
+      expect(await nft.tokenURI(0)).to.match(/^data:application\/json;base64,/);
+      await expect(
+        nft.connect(outsider).setDestroyedFallback(true)
+      ).to.be.revertedWithCustomError(nft, "OwnableUnauthorizedAccount")
+        .withArgs(outsider.address);
+    });
+
+    it("should signal a full metadata refresh on destroy and base URI change", async function () {
+      await expect(nft.setBaseURI("ipfs://QmNewBase/"))
+        .to.emit(nft, "BatchMetadataUpdate")
+        .withArgs(0, MAX_SUPPLY - 1n);
+
+      await triggerAndFinalize();
+      const filter = nft.filters.BatchMetadataUpdate();
+      const events = await nft.queryFilter(filter);
+      expect(events.length).to.equal(2);
+      expect(events[1].args).to.deep.equal([0n, MAX_SUPPLY - 1n]);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Royalties & interfaces
+  // ═══════════════════════════════════════════
+
+  describe("Royalties & interfaces", function () {
+    it("should report the surcharge as royalty, paid to PoolManager", async function () {
+      const salePrice = ethers.parseEther("1");
+      const [receiver, amount] = await nft.royaltyInfo(0, salePrice);
+      expect(receiver).to.equal(await pool.getAddress());
+      expect(amount).to.equal(calcSurcharge(salePrice));
+    });
+
+    it("should advertise ERC-721, ERC-2981 and ERC-4906", async function () {
+      expect(await nft.supportsInterface("0x80ac58cd")).to.equal(true); // ERC-721
+      expect(await nft.supportsInterface("0x2a55205a")).to.equal(true); // ERC-2981
+      expect(await nft.supportsInterface("0x49064906")).to.equal(true); // ERC-4906
+      expect(await nft.supportsInterface("0xffffffff")).to.equal(false);
+    });
+
+    it("should report no royalty before PoolManager is set", async function () {
+      const nft2 = await deployNFT("ipfs://a/", "ipfs://b");
+      const [receiver, amount] = await nft2.royaltyInfo(0, ethers.parseEther("1"));
+      expect(receiver).to.equal(ethers.ZeroAddress);
+      expect(amount).to.equal(0n);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  On-chain attributes & contractURI
+  // ═══════════════════════════════════════════
+
+  describe("On-chain attributes", function () {
+    // Tokens 0-1: model 0 (family 0), token 11: model 1 (family 0), token 22: model 10 (family 1)
+    async function setSome() {
+      return nft.setAttributes([0, 1, 11, 22], [0, 0, 1, 10], [0, 0, 0, 1], [0, 1, 0, 0]);
+    }
+
+    it("should store and expose model, family and question", async function () {
+      await expect(setSome())
+        .to.emit(nft, "AttributesSet")
+        .withArgs(22, 10, 1, 0);
+
+      expect(await nft.modelOf(22)).to.equal(10n);
+      expect(await nft.familyOf(22)).to.equal(1n);
+      expect(await nft.questionOf(1)).to.equal(1n);
+      expect(await nft.attributesOf(11)).to.deep.equal([1n, 0n, 0n]);
+      expect(await nft.tokensByModel(0)).to.deep.equal([0n, 1n]);
+      expect(await nft.tokensByModel(5)).to.deep.equal([]);
+      expect(await nft.attributesSet()).to.equal(4n);
+      await expect(nft.modelOf(2))
+        .to.be.revertedWithCustomError(nft, "AttributesNotSet")
+        .withArgs(2);
+    });
+
+    it("should set each token once, before the first mint, by the owner only", async function () {
+      await setSome();
+      await expect(nft.setAttributes([0], [3], [0], [0]))
+        .to.be.revertedWithCustomError(nft, "AttributesAlreadySet")
+        .withArgs(0);
+      await expect(nft.setAttributes([MAX_SUPPLY], [0], [0], [0]))
+        .to.be.revertedWithCustomError(nft, "InvalidTokenId")
+        .withArgs(MAX_SUPPLY);
+      await expect(nft.setAttributes([2], [0, 1], [0], [0]))
+        .to.be.revertedWithCustomError(nft, "LengthMismatch")
+        .withArgs(1, 2);
+      await expect(
+        nft.connect(outsider).setAttributes([2], [0], [0], [2])
+      ).to.be.revertedWithCustomError(nft, "OwnableUnauthorizedAccount")
+        .withArgs(outsider.address);
+
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      await expect(nft.setAttributes([2], [0], [0], [2])).to.be.revertedWithCustomError(nft, "MintingStarted");
+    });
+
+    it("should switch contractURI to the destroyed variant", async function () {
+      await expect(nft.setContractURIs("ipfs://QmCollection", "ipfs://QmCollectionDestroyed"))
+        .to.emit(nft, "ContractURIUpdated");
+      expect(await nft.contractURI()).to.equal("ipfs://QmCollection");
+
+      await triggerAndFinalize();
+      expect(await nft.contractURI()).to.equal("ipfs://QmCollectionDestroyed");
     });
   });
 
@@ -732,7 +3125,8 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
     it("should reject wrong price for tier", async function () {
       await expect(
         pool.connect(buyer1).mint(66, { value: PRICE_COMMON })
-      ).to.be.revertedWith("Wrong mint price");
+      ).to.be.revertedWithCustomError(pool, "WrongMintPrice")
+        .withArgs(PRICE_LEGENDARY, PRICE_COMMON);
     });
 
     it("should mint Legendary at correct price", async function () {
@@ -742,6 +3136,74 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
       // Legendary tickets: floor(0.2 * 666 / 10000 / 0.001) = 13
       expect(await pool.tickets(buyer1.address)).to.equal(13n);
     });
+
+    it("should report the tier of each token", async function () {
+      expect(await poolExt.getTierOf(0)).to.equal(0n);
+      expect(await poolExt.getTierOf(22)).to.equal(1n);
+      expect(await poolExt.getTierOf(55)).to.equal(2n);
+      expect(await poolExt.getTierOf(66)).to.equal(3n);
+      await expect(poolExt.getTierOf(MAX_SUPPLY))
+        .to.be.revertedWithCustomError(pool, "InvalidTokenId")
+        .withArgs(MAX_SUPPLY);
+      expect(await pool.mintPriceOf(MAX_SUPPLY)).to.equal(0n);
+    });
+
+    it("should let the owner reprice tiers before the first mint", async function () {
+      const prices = [PRICE_STANDARD, PRICE_RARE, PRICE_LEGENDARY, ethers.parseEther("0.5")];
+      await expect(poolExt.setTierPrices(prices))
+        .to.emit(pool, "TierPricesSet")
+        .withArgs(prices);
+
+      expect(await poolExt.getTierPrices()).to.deep.equal(prices);
+      expect(await pool.mintPriceOf(66)).to.equal(ethers.parseEther("0.5"));
+      await pool.connect(buyer1).mint(0, { value: PRICE_STANDARD });
+    });
+
+    it("should lock tier prices after the first mint", async function () {
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      await expect(poolExt.setTierPrices(TIER_PRICES)).to.be.revertedWithCustomError(pool, "MintingStarted");
+    });
+
+    it("should reject zero tier prices and non-owners", async function () {
+      await expect(
+        poolExt.setTierPrices([PRICE_COMMON, 0n, PRICE_RARE, PRICE_LEGENDARY])
+      ).to.be.revertedWithCustomError(pool, "InvalidTierPrice")
+        .withArgs(1);
+      await expect(
+        poolExt.connect(outsider).setTierPrices(TIER_PRICES)
+      ).to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount")
+        .withArgs(outsider.address);
+    });
+
+    it("should repay the cost basis of mints too cheap to earn a ticket", async function () {
+      const cheap = ethers.parseEther("0.01");
+      await poolExt.setTierPrices([cheap, cheap, cheap, cheap]);
+      await pool.connect(buyer1).mint(0, { value: cheap });
+      await pool.connect(buyer2).mint(1, { value: cheap });
+      expect(await pool.tickets(buyer1.address)).to.equal(0n);
+      await triggerAndFinalize();
+
+      await expect(pool.connect(outsider).distributeFor(buyer1.address))
+        .to.emit(pool, "Distributed")
+        .withArgs(buyer1.address, 0, cheap);
+      await expect(pool.distributeFor(buyer1.address))
+        .to.be.revertedWithCustomError(pool, "AlreadyDistributed")
+        .withArgs(buyer1.address);
+
+      await expect(pool.distributeForMany([buyer1.address, buyer2.address]))
+        .to.emit(pool, "BatchDistributed")
+        .withArgs(1, 1, 0);
+      expect(await pool.costBasesDistributed()).to.equal(2n);
+
+      await pool.connect(outsider).distributeCreator();
+      await pool.connect(creator).sweepDust();
+      expect(await ethers.provider.getBalance(await pool.getAddress())).to.equal(0n);
+    });
+
+    it("should emit the constructor prices", async function () {
+      const tx = pool.deploymentTransaction();
+      await expect(tx).to.emit(pool, "TierPricesSet").withArgs(TIER_PRICES);
+    });
   });
 
   // ═══════════════════════════════════════════
@@ -752,7 +3214,7 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
     it("should reject withdraw with no pending amount", async function () {
       await expect(
         pool.connect(buyer1).withdraw()
-      ).to.be.revertedWith("Nothing to withdraw");
+      ).to.be.revertedWithCustomError(pool, "NothingToWithdraw");
     });
   });
 
@@ -762,29 +3224,234 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
 
   describe("Constructor validation", function () {
     it("should reject wrong tier array length", async function () {
-      const Pool = await ethers.getContractFactory("PoolManager");
       await expect(
-        Pool.deploy(
+        deployPool(
           await nft.getAddress(),
           await priceFeed.getAddress(),
           await sequencerFeed.getAddress(),
           creator.address,
           new Array(100).fill(0)
         )
-      ).to.be.revertedWith("Must provide 264 tier assignments");
+      ).to.be.revertedWithCustomError(pool, "WrongTierAssignmentCount")
+        .withArgs(100, MAX_SUPPLY);
     });
 
     it("should reject zero creator address", async function () {
       const Pool = await ethers.getContractFactory("PoolManager");
       await expect(
-        Pool.deploy(
+        deployPool(
           await nft.getAddress(),
           await priceFeed.getAddress(),
           await sequencerFeed.getAddress(),
           ethers.ZeroAddress,
           buildTierAssignments()
         )
-      ).to.be.revertedWithCustomError(Pool, "OwnableInvalidOwner");
+      ).to.be.revertedWithCustomError(Pool, "OwnableInvalidOwner")
+        .withArgs(ethers.ZeroAddress);
+    });
+
+    it("should reject a config whose supply differs from the NFT", async function () {
+      const nft2 = await deployNFT("ipfs://a/", "ipfs://b", 100n);
+      await expect(
+        deployPool(
+          await nft2.getAddress(),
+          await priceFeed.getAddress(),
+          await sequencerFeed.getAddress(),
+          creator.address,
+          buildTierAssignments()
+        )
+      ).to.be.revertedWithCustomError(pool, "SupplyMismatch")
+        .withArgs(100, MAX_SUPPLY);
+    });
+
+    it("should reject invalid config values", async function () {
+      for (const [override, field, value] of [
+        [{ surchargeBps: 0n }, 1, 0n],
+        [{ surchargeBps: BPS }, 1, BPS],
+        [{ creatorFeeBps: BPS }, 2, BPS],
+        [{ triggerPrice: 0n }, 3, 0n],
+        [{ triggerCooldown: 0n }, 4, 0n],
+        [{ deadlineDuration: 0n }, 5, 0n],
+      ]) {
+        await expect(
+          deployPool(
+            await nft.getAddress(),
+            await priceFeed.getAddress(),
+            await sequencerFeed.getAddress(),
+            creator.address,
+            buildTierAssignments(),
+            { ...POOL_CONFIG, ...override }
+          )
+        ).to.be.revertedWithCustomError(pool, "InvalidConfig")
+          .withArgs(field, value);
+      }
+    });
+
+    it("should repay every holder when the surcharge is too low to earn tickets", async function () {
+      const nft2 = await deployNFT("ipfs://a/", "ipfs://b");
+      const pool2 = await deployPool(
+        await nft2.getAddress(),
+        await priceFeed.getAddress(),
+        await sequencerFeed.getAddress(),
+        creator.address,
+        buildTierAssignments(),
+        { ...POOL_CONFIG, surchargeBps: 100n } // 1% of 0.05 ETH is half a ticket
+      );
+      await nft2.setPoolManager(await pool2.getAddress());
+
+      await pool2.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      await pool2.connect(buyer1).list(0, PRICE_COMMON);
+      await pool2.connect(buyer2).buy(0, { value: PRICE_COMMON + PRICE_COMMON / 100n });
+      expect(await pool2.totalTickets()).to.equal(0n);
+
+      await priceFeed.setPrice(1000000000000n);
+      await pool2.initiateTrigger();
+      const trigger2 = await ethers.getContractAt("PoolManagerTriggerExtension", await pool2.getAddress());
+      await priceFeed.setPrice(1000000000000n);
+      await trigger2.checkpointTrigger();
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      await priceFeed.setPrice(1000000000000n);
+      await pool2.finalizeTrigger();
+
+      await expect(pool2.distributeFor(buyer1.address))
+        .to.be.revertedWithCustomError(pool2, "NothingToDistribute")
+        .withArgs(buyer1.address);
+      await expect(pool2.distributeFor(buyer2.address))
+        .to.emit(pool2, "Distributed")
+        .withArgs(buyer2.address, 0, PRICE_COMMON);
+
+      await pool2.distributeCreator();
+      await pool2.sweepDust();
+      expect(await ethers.provider.getBalance(await pool2.getAddress())).to.equal(0n);
+    });
+
+    it("should expose the series config", async function () {
+      const config = await pool.config();
+      expect(config.maxSupply).to.equal(MAX_SUPPLY);
+      expect(config.surchargeBps).to.equal(SURCHARGE_BPS);
+      expect(config.triggerPrice).to.equal(POOL_CONFIG.triggerPrice);
+      expect(await pool.deadline()).to.equal((await pool.deployedAt()) + POOL_CONFIG.deadlineDuration);
+      expect(await nft.maxSupply()).to.equal(MAX_SUPPLY);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Series factory
+  // ═══════════════════════════════════════════
+
+  describe("Series factory", function () {
+    let factory;
+
+    function seriesConfig(overrides = {}) {
+      return {
+        name: "Inner Models II",
+        symbol: "INNER2",
+        baseURI: "ipfs://QmSeries2/",
+        destroyedURI: "ipfs://QmSeries2Destroyed",
+        priceFeed: overrides.priceFeed,
+        sequencerUptimeFeed: overrides.sequencerUptimeFeed,
+        creator: buyer3.address,
+        pool: { ...POOL_CONFIG, maxSupply: 3n, triggerPrice: 500000000000n }, // $5,000
+        tierPrices: TIER_PRICES,
+        tierAssignments: [0, 1, 3],
+        ...overrides,
+      };
+    }
+
+    beforeEach(async function () {
+      const Factory = await ethers.getContractFactory("InnerModelsFactory");
+      factory = await Factory.deploy(await extension.getAddress());
+    });
+
+    async function createSeries(overrides = {}) {
+      const cfg = seriesConfig({
+        priceFeed: await priceFeed.getAddress(),
+        sequencerUptimeFeed: await sequencerFeed.getAddress(),
+        ...overrides,
+      });
+      const [, nftAddr, poolAddr] = await factory.createSeries.staticCall(cfg);
+      await factory.createSeries(cfg);
+      return {
+        nft2: await ethers.getContractAt("InnerModelsNFT", nftAddr),
+        pool2: await ethers.getContractAt("PoolManager", poolAddr),
+      };
+    }
+
+    it("should deploy a linked pair with the same supply", async function () {
+      const { nft2, pool2 } = await createSeries();
+
+      expect(await nft2.poolManager()).to.equal(await pool2.getAddress());
+      expect(await nft2.maxSupply()).to.equal(3n);
+      expect((await pool2.config()).maxSupply).to.equal(3n);
+      expect(await nft2.name()).to.equal("Inner Models II");
+      expect(await nft2.symbol()).to.equal("INNER2");
+      expect(await nft2.owner()).to.equal(buyer3.address);
+      expect(await pool2.owner()).to.equal(buyer3.address);
+      expect(await pool2.creator()).to.equal(buyer3.address);
+      expect(await pool2.extension()).to.equal(await extension.getAddress());
+    });
+
+    it("should record every series in the registry", async function () {
+      await expect(factory.createSeries(seriesConfig({
+        priceFeed: await priceFeed.getAddress(),
+        sequencerUptimeFeed: await sequencerFeed.getAddress(),
+      }))).to.emit(factory, "SeriesCreated");
+      await createSeries({ name: "Inner Models III", symbol: "INNER3" });
+
+      expect(await factory.seriesCount()).to.equal(2n);
+      const all = await factory.getAllSeries();
+      expect(all.length).to.equal(2);
+      expect(all[1].name).to.equal("Inner Models III");
+      expect(all[1].maxSupply).to.equal(3n);
+
+      const first = await factory.getSeries(0);
+      expect(first.creator).to.equal(buyer3.address);
+      expect(await factory.isSeriesPool(first.poolManager)).to.equal(true);
+      await expect(factory.getSeries(2))
+        .to.be.revertedWithCustomError(factory, "UnknownSeries")
+        .withArgs(2);
+    });
+
+    it("should run each series with its own parameters", async function () {
+      const { nft2, pool2 } = await createSeries();
+
+      await pool2.connect(buyer1).mint(2, { value: await pool2.mintPriceOf(2) });
+      expect(await nft2.ownerOf(2)).to.equal(buyer1.address);
+      await expect(
+        pool2.connect(buyer1).mint(3, { value: await pool2.mintPriceOf(0) })
+      ).to.be.revertedWithCustomError(pool2, "InvalidTokenId")
+        .withArgs(3);
+
+      // $5,000 triggers this series but not the original one
+      await priceFeed.setPrice(500000000000n);
+      await pool2.initiateTrigger();
+      await expect(pool.initiateTrigger())
+        .to.be.revertedWithCustomError(pool, "PriceBelowTrigger")
+        .withArgs(500000000000n, POOL_CONFIG.triggerPrice);
+
+      // Shared extensions operate on the series' own storage
+      const trigger2 = await ethers.getContractAt("PoolManagerTriggerExtension", await pool2.getAddress());
+      expect((await trigger2.getTriggerObservations()).length).to.equal(1);
+      expect((await poolTrigger.getTriggerObservations()).length).to.equal(0);
+    });
+
+    it("should revert the whole series on an invalid config", async function () {
+      await expect(createSeries({ tierAssignments: [0, 1] }))
+        .to.be.revertedWithCustomError(pool, "WrongTierAssignmentCount")
+        .withArgs(2, 3);
+      expect(await factory.seriesCount()).to.equal(0n);
+    });
+
+    it("should only let the owner create series", async function () {
+      const cfg = seriesConfig({
+        priceFeed: await priceFeed.getAddress(),
+        sequencerUptimeFeed: await sequencerFeed.getAddress(),
+      });
+      await expect(
+        factory.connect(outsider).createSeries(cfg)
+      ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+        .withArgs(outsider.address);
     });
   });
 
@@ -836,7 +3503,7 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
     });
 
     it("should block sweep if pending withdrawals exist", async function () {
-      // This test verifies the require in sweepDust.
+      // This test verifies the guard in sweepDust.
       // We need: trigger finalized, all distributed, but pending withdrawals > 0.
       // Since we can't easily create a failed transfer in test, we verify the
       // guard exists by checking the sweepDust function when all is clean.
@@ -860,7 +3527,90 @@ describe("Inner Models v2 — PoolManager with Smart Tickets", function () {
       await priceFeed.setPrice(1000000000000n); // $10,000
       await pool.initiateTrigger();
       // Price still above trigger — cancel should revert
-      await expect(pool.cancelTrigger()).to.be.revertedWith("Price still above trigger");
+      await expect(pool.cancelTrigger())
+        .to.be.revertedWithCustomError(pool, "PriceAboveTrigger")
+        .withArgs(1000000000000n, POOL_CONFIG.triggerPrice);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  //  Revert decoding (scripts/errors.js)
+  // ═══════════════════════════════════════════
+
+  describe("Revert decoding", function () {
+    async function revertOf(promise) {
+      try {
+        await promise;
+      } catch (e) {
+        return decodeError(e);
+      }
+      expect.fail("Expected a revert");
+    }
+
+    it("should decode a custom error with its arguments", async function () {
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      const decoded = await revertOf(pool.connect(buyer1).list(0, PRICE_COMMON - 1n));
+
+      expect(decoded.name).to.equal("PriceBelowCostBasis");
+      expect(decoded.signature).to.equal("PriceBelowCostBasis(uint256,uint256)");
+      expect(decoded.args.price).to.equal(PRICE_COMMON - 1n);
+      expect(decoded.args.costBasis).to.equal(PRICE_COMMON);
+      expect(decoded.message).to.equal("Price 0.049999999999999999 ETH is below the cost basis of 0.05 ETH");
+    });
+
+    it("should decode reverts from extensions and the NFT", async function () {
+      await priceFeed.setPrice(1000000000000n);
+      await ethers.provider.send("evm_increaseTime", [3700]);
+      await ethers.provider.send("evm_mine");
+      const inactive = await revertOf(poolTrigger.checkpointTrigger());
+      expect(inactive.name).to.equal("TriggerNotInitiated");
+
+      const decoded = await revertOf(pool.initiateTrigger());
+      expect(decoded.name).to.equal("StalePrice");
+      expect(decoded.args.maxAge).to.equal(3600n);
+      expect(decoded.message).to.match(/^The price feed is stale: last update \d+s ago \(max 3600s\)$/);
+
+      await pool.connect(buyer1).mint(0, { value: PRICE_COMMON });
+      const transfer = await revertOf(nft.connect(buyer1).transferFrom(buyer1.address, buyer2.address, 0));
+      expect(transfer.name).to.equal("TransferRestricted");
+      expect(transfer.args.caller).to.equal(buyer1.address);
+    });
+
+    it("should decode raw revert data, reason strings and panics", async function () {
+      const data = pool.interface.encodeErrorResult("WrongPayment", [3n, 2n]);
+      expect(decodeError(data)).to.deep.include({ name: "WrongPayment", args: { expected: 3n, paid: 2n } });
+      const config = pool.interface.encodeErrorResult("InvalidConfig", [2n, BPS]);
+      expect(decodeError(config).message).to.equal("Invalid pool configuration: creatorFeeBps cannot be 10000");
+
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      const reason = decodeError("0x08c379a0" + coder.encode(["string"], ["Legacy reason"]).slice(2));
+      expect(reason).to.deep.include({ name: "Error", message: "Legacy reason" });
+
+      const panic = decodeError("0x4e487b71" + coder.encode(["uint256"], [0x11]).slice(2));
+      expect(panic).to.deep.include({ name: "Panic", message: "Arithmetic overflow or underflow" });
+
+      expect(decodeError("0xdeadbeef").name).to.equal("Unknown");
+      expect(decodeError(new Error("boom")).message).to.equal("boom");
+    });
+
+    it("should know every error the contracts can raise", async function () {
+      const known = new Set(ERRORS.map(([signature]) => ethers.ErrorFragment.from(signature).format("sighash")));
+      for (const name of [
+        "PoolManager",
+        "PoolManagerExtension",
+        "PoolManagerTriggerExtension",
+        "PoolManagerViewExtension",
+        "InnerModelsNFT",
+        "PriceModule",
+        "InnerModelsFactory",
+        "PoolManagerDeployer",
+      ]) {
+        const { abi } = await artifacts.readArtifact(name);
+        for (const fragment of new ethers.Interface(abi).fragments) {
+          if (fragment.type !== "error") continue;
+          expect(known.has(fragment.format("sighash")), `${name}: ${fragment.format("sighash")}`).to.equal(true);
+        }
+      }
     });
   });
 });